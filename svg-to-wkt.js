@@ -1,4 +1,3 @@
-
 /**
  * SVG-to-WKT.js
  *
@@ -9,519 +8,5920 @@
 
 
 (function() {
-  var SVGNS = 'http://www.w3.org/2000/svg';
   var SVGtoWKT = {};
 
   /**
-   * The number of decimal places computed during curve interpolation when
-   * generating points for `<circle>`, `<ellipse>`, and `<path>` elements.
+   * The number of decimal places of the coordinates in generated WKT.
+   * Points that round onto the point before them are left out, and lines
+   * and rings left without enough distinct points are written as `EMPTY`.
    *
    * @public
    */
   SVGtoWKT.PRECISION = 3;
 
+  /**
+   * The size of a grid to snap coordinates to, in place of rounding them
+   * to `PRECISION`. Null by default.
+   *
+   * @public
+   */
+  SVGtoWKT.GRID = null;
+
   /**
    * The number of points computed during curve interpolation per unit of
    * linear pixel length. For example, if a a path is 10px in length, and
    * `DENSITY` is set to 2, the path will be rendered with 20 points.
+   * Straight segments keep just their end points.
    *
    * @public
    */
   SVGtoWKT.DENSITY = 1;
 
   /**
-   * SVG => WKT.
-   *
-   * @param {String} svg: SVG markup.
-   * @return {String}: Generated WKT.
+   * The maximum distance between a curve and the straight segments that
+   * replace it, in SVG user units. When set, curves are flattened
+   * adaptively instead of at `DENSITY`, so that sharp bends get more points
+   * than gentle ones. Null by default.
    *
    * @public
    */
-  SVGtoWKT.convert = function(svg) {
-
-    var xml = __getXml(svg);
-    var els = [];
+  SVGtoWKT.TOLERANCE = null;
 
-    const svgRoot = xml.documentElement;
-    document.adoptNode(svgRoot);
-    document.body.appendChild(svgRoot);
+  /**
+   * The maximum length of the straight segments that replace a curve, in
+   * SVG user units, used with or without `TOLERANCE`. When set, curves are
+   * flattened adaptively instead of at `DENSITY`. Null by default.
+   *
+   * @public
+   */
+  SVGtoWKT.MAX_SEGMENT = null;
 
-    for (const tagName of ['polygon', 'polyline', 'line', 'rect', 'circle', 'ellipse', 'path']) {
-      for (const element of svgRoot.getElementsByTagName(tagName)) {
-        const wkt = __createWKT(element);
-        els.push(wkt);
-      };
-    }
+  /**
+   * Whether to keep circles and circular arcs as curves, written with
+   * `CIRCULARSTRING`, `COMPOUNDCURVE` and `CURVEPOLYGON`. When false, they
+   * are interpolated into `POLYGON` and `LINESTRING` points at `DENSITY`.
+   * Curves are only kept where the output transform preserves circles.
+   *
+   * @public
+   */
+  SVGtoWKT.CURVES = false;
 
-    var spaces = [];
-    var strings = [];
+  /**
+   * An affine transform `[a, b, c, d, e, f]` from SVG user units to world
+   * coordinates, applied to every point in place of `FLIP_Y` and `ORIGIN`. Use
+   * `fitGeoreference` to compute one from control points. Null by default.
+   *
+   * @public
+   */
+  SVGtoWKT.GEOREFERENCE = null;
 
-    for (const element of svgRoot.querySelectorAll('[id]')) {
-      const $shape = $(element);
-      spaces.push({
-        id: $shape.attr('id'),
-        title: $shape.attr('title'),
-        space: __createWKT(element)
-      })
-    };
+  /**
+   * The spatial reference ID of the world coordinates. When set, WKT is
+   * written as EWKT with a `SRID=...;` prefix. Null by default.
+   *
+   * @public
+   */
+  SVGtoWKT.SRID = null;
 
-    for (const element of svgRoot.getElementsByTagName('text')) {
-      const textData = __getText(element, svgRoot);
-      if (textData) {
-        strings.push(textData);
-      }
-    };
+  /**
+   * Whether to negate Y, so that drawings keep their orientation on a
+   * Y-up grid. False keeps SVG's Y-down coordinates.
+   *
+   * @public
+   */
+  SVGtoWKT.FLIP_Y = true;
 
-    response = {
-      detail: 'GEOMETRYCOLLECTION(' + els.join(',') + ')',
-      spaces,
-      strings
-    };
+  /**
+   * The point of the root `<svg>` that becomes 0,0 in `convert` and
+   * `parse`: `'user'` for the user space origin, or `'top-left'` or
+   * `'bottom-left'` for corners of the `viewBox` (or the `width`/`height`
+   * viewport, without one).
+   *
+   * @public
+   */
+  SVGtoWKT.ORIGIN = 'user';
 
-    return JSON.stringify(response);
+  /**
+   * The setting that each option of a call, or of `create`, stands in for.
+   *
+   * @private
+   */
+  var SETTINGS = {
+    precision: 'PRECISION',
+    grid: 'GRID',
+    density: 'DENSITY',
+    tolerance: 'TOLERANCE',
+    maxSegment: 'MAX_SEGMENT',
+    curves: 'CURVES',
+    georeference: 'GEOREFERENCE',
+    srid: 'SRID',
+    flipY: 'FLIP_Y',
+    origin: 'ORIGIN'
   };
 
-  __getText = function(element, svg) {
-    const len = element.getNumberOfChars();
-    if (len == 0) return null;
-
-    var rootCtm = svg.getCTM().inverse();
-
-    const matrix = element.getCTM();
-    var start = element.getStartPositionOfChar(0).matrixTransform(matrix).matrixTransform(rootCtm);
-    var end = element.getEndPositionOfChar(len - 1).matrixTransform(matrix).matrixTransform(rootCtm);
-
-    const size = element.getAttribute('font-size');
-    const font = element.getAttribute('font-family');
+  /**
+   * The settings as the library ships them, for `create`.
+   *
+   * @private
+   */
+  var DEFAULTS = Object.assign({}, SVGtoWKT);
 
-    var textData = {
-      text: element.textContent,
-      path: `LINESTRING(${start.x} ${-start.y}, ${end.x} ${-end.y})`,
-      ...(size && { fontSize: size}),
-      ...(font && { fontFamily: font})
-    }
+  /**
+   * The settings of the conversion that is running, from `__call`. Every
+   * conversion is synchronous, so one call never sees another's settings.
+   *
+   * @private
+   */
+  var __settings = null;
 
-    return textData;
-  };
+  /**
+   * A single SVG number: optional sign, integer and/or fraction, exponent.
+   *
+   * @private
+   */
+  var NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
 
-  __createWKT = function(element) {
-    const $element = $(element);
-    switch (element.nodeName) {
-      case 'polygon':
-        return SVGtoWKT.polygon($element.attr('points'))
-      case 'polyline':
-        return SVGtoWKT.polyline($element.attr('points'));
-        case 'line':
-        return SVGtoWKT.line(
-          parseFloat($element.attr('x1')),
-          parseFloat($element.attr('y1')),
-          parseFloat($element.attr('x2')),
-          parseFloat($element.attr('y2'))
-        );
-        case 'rect':
-        return SVGtoWKT.rect(
-          parseFloat($element.attr('x')),
-          parseFloat($element.attr('y')),
-          parseFloat($element.attr('width')),
-          parseFloat($element.attr('height'))
-        );
-        case 'circle':
-        return SVGtoWKT.circle(
-          parseFloat($element.attr('cx')),
-          parseFloat($element.attr('cy')),
-          parseFloat($element.attr('r'))
-        );
-        case 'ellipse':
-        return SVGtoWKT.ellipse(
-          parseFloat($element.attr('cx')),
-          parseFloat($element.attr('cy')),
-          parseFloat($element.attr('rx')),
-          parseFloat($element.attr('ry'))
-        );
-        case 'path':
-        return SVGtoWKT.path($element.attr('d'));
-      default:
-        return 'EMPTY';
-    }
+  /**
+   * The size of absolute length units in user units (CSS pixels).
+   *
+   * @private
+   */
+  var UNITS = {
+    px: 1,
+    in: 96,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+    pt: 4 / 3,
+    pc: 16
   };
 
   /**
-   * SVG => WKT.
+   * A length: a number and a unit or `%`.
    *
-   * @param {String} svg: SVG markup.
-   * @return {XMLDocument}: parsed SVG document.
+   * @private
+   */
+  var LENGTH = new RegExp('^\\s*(' + NUMBER.source + ')([a-z]*|%)\\s*$', 'i');
+
+  /**
+   * Average glyph advance as a fraction of the font size, used to estimate
+   * the extent of `<text>` runs without a layout engine.
    *
-   * @public
+   * @private
    */
-  __getXml = function(svg) {
-    // Halt if svg is undefined or empty.
-    if (_.isUndefined(svg) || _.isEmpty(svg.trim())) {
-      throw new Error('Empty XML.');
-    }
+  var GLYPH_ADVANCE = 0.6;
 
-    var xml;
+  /**
+   * Font size assumed for `<text>` without a `font-size`, the CSS default.
+   *
+   * @private
+   */
+  var DEFAULT_FONT_SIZE = 16;
 
-    // Strip out tabs and linebreaks.
-    svg = svg.replace(/\r\n|\r|\n|\t/g, '');
+  /**
+   * The height of glyphs above and below the baseline as fractions of the
+   * font size, used to estimate the box of `<text>` runs.
+   *
+   * @private
+   */
+  var ASCENT = 0.8;
+  var DESCENT = 0.2;
 
-    try {
-      // Parse the raw XML.
-      xml = new DOMParser().parseFromString(svg, "image/svg+xml");
-    } catch (e) {
-      // Halt if malformed.
-      throw new Error('Invalid XML.');
-    }
+  /**
+   * The deepest recursion of adaptive flattening, at most 2^16 chords per
+   * curve segment.
+   *
+   * @private
+   */
+  var FLATTEN_DEPTH = 16;
 
-    return xml;
-  }
+  /**
+   * The identity transform, `[a, b, c, d, e, f]`.
+   *
+   * @private
+   */
+  var IDENTITY = [1, 0, 0, 1, 0, 0];
 
   /**
-   * Construct a WKT line from SVG start/end point coordinates.
+   * The elements converted to geometries.
    *
-   * @param {Number} x1: Start X.
-   * @param {Number} y1: Start Y.
-   * @param {Number} x2: End X.
-   * @param {Number} y2: End Y.
-   * @return {String}: Generated WKT.
+   * @private
+   */
+  var SHAPES = ['polygon', 'polyline', 'line', 'rect', 'circle', 'ellipse',
+    'path'];
+
+  /**
+   * The elements that group others, whose geometry is the collection of the
+   * shapes inside them.
    *
-   * @public
+   * @private
    */
-  SVGtoWKT.line = function(x1, y1, x2, y2) {
-    return 'LINESTRING('+x1+' '+-y1+','+x2+' '+-y2+')';
-  };
+  var CONTAINERS = ['svg', 'g', 'a', 'switch', 'use'];
 
   /**
-   * Construct a WKT linestrimg from SVG `points` attribute value.
+   * The elements whose content is only drawn when referenced, never where
+   * it is defined.
    *
-   * @param {String} points: <polyline> `points` attribute value.
-   * @return {String}: Generated WKT.
+   * @private
+   */
+  var DEFINITIONS = ['defs', 'symbol', 'clipPath', 'mask', 'pattern',
+    'marker'];
+
+  /**
+   * The properties recorded for each geometry by default.
    *
-   * @public
+   * @private
    */
-  SVGtoWKT.polyline = function(points) {
+  var PROPERTIES = ['class', 'data-*', 'desc', 'fill', 'stroke'];
 
-    // "1,2 3,4 " => "1 2,3 4"
-    var pts = _.map(points.trim().split(' '), function(pt) {
-      pt = pt.split(','); pt[1] = -pt[1];
-      return pt.join(' ');
-    });
+  /**
+   * The elements inside `<text>` whose characters are laid out with it.
+   *
+   * @private
+   */
+  var TEXT_CONTENT = ['tspan', 'textPath', 'a'];
 
-    return 'LINESTRING(' + pts.join() + ')';
-  };
+  /**
+   * A part of a compound CSS selector: `*`, a type, `.class` or `#id`
+   * selector, or an attribute selector with an optional value.
+   *
+   * @private
+   */
+  var SELECTOR_PART = new RegExp('\\*|([.#]?)([\\w-]+)|\\[\\s*([\\w:-]+)\\s*' +
+    '(?:=\\s*(?:"([^"]*)"|\'([^\']*)\'|([\\w-]+))\\s*)?\\]', 'y');
 
   /**
-   * Construct a WKT polygon from SVG `points` attribute value.
+   * An error in the SVG input: malformed XML, or an element that cannot be
+   * converted in `strict` mode.
    *
-   * @param {String} points: <polygon> `points` attribute value.
-   * @return {String}: Generated WKT.
+   * @param {String} message: The message.
+   * @param {Object} details: `reason`, the error without its location;
+   * `line` and `column`, where it is; and `tag`, `id` and `element`, for
+   * element errors.
    *
    * @public
    */
-  SVGtoWKT.polygon = function(points) {
-
-    // "1,2 3,4 " => "1 2,3 4"
-    var pts = _.map(points.trim().split(' '), function(pt) {
-      pt = pt.split(',');
-      pt[1] = -pt[1];
-      return pt.join(' ');
-    });
-
-    // Close.
-    pts.push(pts[0]);
-
-    return 'POLYGON((' + pts.join() + '))';
+  var SVGError = SVGtoWKT.SVGError = function(message, details) {
+    this.message = message;
+    this.stack = new Error(message).stack;
+    Object.assign(this, details);
   };
 
+  SVGError.prototype = Object.create(Error.prototype);
+  SVGError.prototype.constructor = SVGError;
+  SVGError.prototype.name = 'SVGError';
+
   /**
-   * Construct a WKT polygon from SVG rectangle origin and dimensions.
-   *
-   * @param {Number} x: Top left X.
-   * @param {Number} y: Top left Y.
-   * @param {Number} width: Rectangle width.
-   * @param {Number} height: Rectangle height.
-   * @return {String}: Generated WKT.
+   * A converted SVG element.
    *
-   * @public
+   * @typedef {Object} Geometry
+   * @property {Object} element: The source element.
+   * @property {String} tag: The element's tag name.
+   * @property {String|undefined} id: The `id` attribute.
+   * @property {String|undefined} title: The text of the `<title>` child, or
+   *   else the `title` attribute.
+   * @property {Object} attributes: All attributes, by name.
+   * @property {Object} properties: The recorded properties that are set,
+   *   by name: attributes, child text and computed style.
+   * @property {Object|null} bbox: `{minX, minY, maxX, maxY}`, in WKT space.
+   * @property {String} wkt: The generated WKT.
+   * @property {Boolean|undefined} valid: With `validate`, whether the WKT
+   *   is free of errors.
+   * @property {Array|undefined} issues: With `validate`, the `Issue`s found.
+   * @property {Array|undefined} members: For groups, the records of the
+   *   shapes inside them.
    */
-  SVGtoWKT.rect = function(x, y, width, height) {
-
-    var pts = [];
 
-    // 0,0 origin by default.
-    if (!_.isNumber(x)) x = 0;
-    if (!_.isNumber(y)) y = 0;
+  /**
+   * A problem found by `validate`.
+   *
+   * @typedef {Object} Issue
+   * @property {String} code: `non-finite`, `duplicate-point`,
+   *   `unclosed-ring`, `too-few-points`, `self-intersection`, `zero-area`,
+   *   `empty` or `invalid-wkt`.
+   * @property {String} severity: `error` or `warning`.
+   * @property {String} message: A description.
+   * @property {Array} at: The indices of the part in nested geometries, e.g.
+   *   `[1, 0]` for the shell of the second polygon of a `MULTIPOLYGON`.
+   * @property {Boolean} repaired: Whether `repair` fixed it.
+   */
 
-    // No corner rounding.
-    pts.push(String(x)+' '+String(-y));              // top left
-    pts.push(String(x+width)+' '+String(-y));        // top right
-    pts.push(String(x+width)+' '+String(-y-height)); // bottom right
-    pts.push(String(x)+' '+String(-y-height));       // bottom left
-    pts.push(String(x)+' '+String(-y));              // close
+  /**
+   * An element that could not be converted, or only in part.
+   *
+   * @typedef {Object} Warning
+   * @property {Object} element: The source element.
+   * @property {String} tag: The element's tag name.
+   * @property {String|undefined} id: The `id` attribute.
+   * @property {String} reason: A description of the error.
+   * @property {Number} line: The line of the element's start tag.
+   * @property {Number} column: The column of the element's start tag.
+   */
 
-    // TODO: Corner rounding.
+  /**
+   * A converted `<text>` element; a `Geometry` with text properties.
+   *
+   * @typedef {Geometry} Label
+   * @property {String} text: The text content.
+   * @property {String|undefined} fontSize: The computed `font-size`.
+   * @property {String|undefined} fontFamily: The computed `font-family`.
+   * @property {String} baseline: The baseline of each line, as a
+   *   `LINESTRING`, or a `MULTILINESTRING` for several.
+   * @property {String} anchor: The `POINT` of the first line that its
+   *   `text-anchor` refers to.
+   * @property {Number} rotation: The direction of the baseline at the
+   *   anchor, in degrees counterclockwise from the X axis.
+   * @property {String} box: The estimated extent of the glyphs, as a
+   *   `POLYGON` or `MULTIPOLYGON`.
+   * @property {Array} lines: `TextLine`s, one for each text chunk.
+   */
 
-    return 'POLYGON((' + pts.join() + '))';
-  };
+  /**
+   * A line of a `Label`: the characters from one absolute position, or
+   * along one `<textPath>`.
+   *
+   * @typedef {Object} TextLine
+   * @property {String} text: The characters, with white space collapsed.
+   * @property {String} baseline: The baseline, as a `LINESTRING`.
+   * @property {String} anchor: The `POINT` its `text-anchor` refers to.
+   * @property {Number} rotation: The direction of the baseline at the
+   *   anchor, in degrees counterclockwise from the X axis.
+   * @property {String} box: The estimated extent of the glyphs.
+   * @property {Array} runs: `{element, tag, text, baseline, fontSize,
+   *   fontFamily}` for the characters of each `<text>`, `<tspan>` or
+   *   `<textPath>` in it.
+   */
 
   /**
-   * Construct a WKT polygon for a circle from origin and radius.
+   * SVG => structured result.
    *
-   * @param {Number} cx: Center X.
-   * @param {Number} cy: Center Y.
-   * @param {Number} r: Radius.
-   * @return {String} wkt: Generated WKT.
+   * @param {String} svg: SVG markup.
+   * @param {Object} options: (optional) `validate`: check each geometry
+   * and add its `valid` and `issues` to its record; `repair`: validate and
+   * use the repaired WKT; `strict`: throw a `SVGError` for the first
+   * element that cannot be converted, instead of adding a `Warning`;
+   * `visible`: skip elements hidden by `display` or `visibility`; `stroke`:
+   * convert stroked lines into the area of their stroke; `clip`: cut shapes
+   * to their `clip-path`; `properties`: the names of the properties to
+   * record, `['class', 'data-*', 'desc', 'fill', 'stroke']` by default;
+   * `labels`: the geometry of `Label`s, `'line'` (default) for the
+   * baseline or `'point'` for the anchor; `precision`, `grid`, `density`,
+   * `tolerance`, `maxSegment`, `curves`, `georeference`, `srid`, `flipY`
+   * and `origin`: settings for this call only, in place of `PRECISION`,
+   * `GRID` and the others.
+   * @return {Object}: `{wkt, geometries, spaces, strings, warnings}`: a WKT
+   * GEOMETRYCOLLECTION of all shapes, the shape `Geometry` records in
+   * document order, the records of shapes and groups with an `id`, `Label`
+   * records for `<text>` elements and `Warning`s for elements that were
+   * left out or converted in part.
    *
    * @public
    */
-  SVGtoWKT.circle = function(cx, cy, r) {
-
-    var wkt = '(';
-    var pts = [];
-
-    // Generate the circle.
-    for (var i = 0; i < 5; i++) {
-      var angle = (90 * i) * (Math.PI / 180);
-      var x = __round(cx + r * Math.cos(angle));
-      var y = __round(cy + r * Math.sin(angle));
-      pts.push(`${x} ${-y}`);
-    };
-
-    return `CIRCULARSTRING(${pts.join()})`;
+  SVGtoWKT.parse = function(svg, options) {
+    options = options || {};
+    return __call(SVGtoWKT, options, () => __parse(svg, options));
   };
 
   /**
-   * Construct a WKT polygon for an ellipse from origin and radii.
+   * SVG => structured result, with the settings of the call in place.
    *
-   * @param {Number} cx: Center X.
-   * @param {Number} cy: Center Y.
-   * @param {Number} rx: Horizontal radius.
-   * @param {Number} ry: Vertical radius.
-   * @return {String} wkt: Generated WKT.
+   * @param {String} svg: SVG markup.
+   * @param {Object} options: `parse` options.
+   * @return {Object}: The `parse` result.
    *
-   * @public
+   * @private
    */
-  SVGtoWKT.ellipse = function(cx, cy, rx, ry) {
-
-    var wkt = 'POLYGON((';
-    var pts = [];
+  var __parse = function(svg, options) {
 
-    // Approximate the circumference.
-    var circumference = 2 * Math.PI * Math.sqrt(
-      (Math.pow(rx, 2) + Math.pow(ry, 2)) / 2
-    );
+    var xml = __getXml(svg);
+    var geometries = [];
+    var warnings = [];
 
-    // Compute number of points and angle between points.
-    var point_count = Math.round(circumference * SVGtoWKT.DENSITY);
-    var interval_angle = 360 / point_count;
+    const svgRoot = xml.documentElement;
 
-    // Generate the ellipse.
-    _(point_count).times(function(i) {
-      var angle = (interval_angle * i) * (Math.PI / 180);
-      var x = __round(cx + rx * Math.cos(angle));
-      var y = __round(cy + ry * Math.sin(angle));
-      pts.push(String(x)+' '+String(-y));
-    });
+    // The properties recorded for each element.
+    const names = options.properties === undefined ? PROPERTIES :
+      options.properties || [];
 
-    // Close.
-    pts.push(pts[0]);
+    const labels = options.labels || 'line';
+    if (labels != 'line' && labels != 'point') {
+      throw new Error('Unknown labels: ' + labels + '.');
+    }
 
-    return wkt + pts.join() + '))';
-  };
+    var members = [];
 
-  const arcFix = new RegExp(/(A\s*(?:\d+[\s,]+){7})(\d+)/, 'g');
+    // Collect shapes into a `GEOMETRYCOLLECTION`, `EMPTY` without any.
+    const collection = function(wkts) {
+      return __writeWKT({
+        type: 'GEOMETRYCOLLECTION',
+        parts: wkts.map(__readWKT).filter(part => part)
+      });
+    };
 
-  /**
-   * Construct a WKT polygon from a SVG path string. Approach from:
-   * http://whaticode.com/2012/02/01/converting-svg-paths-to-polygons/
-   *
-   * @param {String} d: <path> `d` attribute value.
-   * @return {String}: Generated WKT.
-   *
-   * @public
-   */
-  SVGtoWKT.path = function(d) {
+    // Validate, and repair, shapes as they are converted.
+    const check = function(wkt) {
+      return options.validate || options.repair ?
+        __validate(wkt, options.repair) : null;
+    };
 
-    if (d.includes('A')) {
-      d = d.replace(arcFix, '$1L$2');
-    }
+    // Report each element's errors once, not once per `<use>` copy.
+    const reported = new Map();
+    const warn = function(element, reason) {
+      const source = element.source || element;
+      if (!reported.has(source)) reported.set(source, new Set());
+      if (reported.get(source).has(reason)) return;
+      reported.get(source).add(reason);
+      warnings.push(__warning(source, reason));
+    };
 
-    // Try to extract polygon paths closed with 'Z'.
-    var polys = _.map(d.trim().match(/[^z|Z]+[z|Z]/g), function(p) {
-      return __pathElement(p.trim()).getPathData();
-    });
+    // Convert an element, or return null to leave it out.
+    const attempt = function(element, convert) {
+      const problems = __checkElement(element);
+      problems.forEach(problem => warn(element, problem.reason));
+      if (problems.some(problem => !problem.partial)) return null;
 
-    // If closed polygon paths exist, construct a `POLYGON`.
-    if (!_.isEmpty(polys)) {
+      try {
+        return convert();
+      } catch (e) {
+        warn(element, e.message);
+        return null;
+      }
+    };
 
-      var parts = [];
-      _.each(polys, function(poly) {
-        var curve = __curveString(poly)
-        if (poly.some(p => p.type == 'A') && poly.some(p => !['M', 'A', 'Z'].includes(p.type))) {
-          curve = `COMPOUNDCURVE(${curve})`;
-        }
-        parts.push(curve);
-      });
+    var spaces = [];
+    var strings = [];
 
-      if (polys.some(p => p.some(p2 => p2.type == 'A'))) {
-        return `CURVEPOLYGON(${parts.join()})`;
-      } else {
-        // Prevent < 4 point linear polygon
-        if (polys.some(p => p.length < 5)) {
-          return `LINESTRING EMPTY`;
-        }
-        return `POLYGON(${parts.join()})`;
-      }
-    }
+    __applyStyleSheets(svgRoot);
+    __expandUses(svgRoot, warn);
 
-    // Otherwise, construct a `LINESTRING` from the unclosed path.
-    else {
-      var line = __pathElement(d);
-      var data = line.getPathData();
+    const ids = __idIndex(svgRoot);
 
-      let curveGroups = [];
+    // Cut a shape to the `clip-path` of the element and its ancestors.
+    const clip = function(element, wkt) {
+      let geometry = __readWKT(wkt);
+      let clipped = false;
 
-      for (const command of data) {
-        if (command.type == 'M') {
-          curveGroups.push([command]);
-        } else {
-          curveGroups[curveGroups.length - 1].push(command);
+      for (let el = element; el && el.nodeType == 1; el = el.parentNode) {
+        const clipPath = __clipPathOf(el, ids);
+        if (clipPath === null) {
+          warn(el, `Invalid \`clip-path="${__property(el, 'clip-path')}"\`.`);
+        } else if (clipPath && geometry) {
+          if (__attr(clipPath, 'clipPathUnits') == 'objectBoundingBox') {
+            warn(clipPath, '`clipPathUnits="objectBoundingBox"` is not ' +
+              'supported.');
+            continue;
+          }
+          geometry = __clipGeometry(geometry,
+            __clipRegion(clipPath, el, svgRoot));
+          clipped = true;
         }
       }
 
-      let multiLines = curveGroups.filter(g => !g.some(c => c.type == 'A'));
-      let compoundCurves = curveGroups.filter(g => g.some(c => c.type == 'A'));
+      return clipped ? __writeWKT(geometry) : wkt;
+    };
+
+    // Replace stroked lines with the area of their stroke, whose width
+    // scales with the transform to the output.
+    const stroke = function(element, wkt) {
+      const style = __strokeStyle(element);
+      const geometry = __readWKT(wkt);
+      if (!style || !geometry) return wkt;
 
-      let geometry = [];
+      let m = __outputCTM(element, svgRoot);
+      if (__settings.GEOREFERENCE) m = __multiply(__settings.GEOREFERENCE, m);
+      style.width *= Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
 
-      if (multiLines.length > 1) {
-        const lines = multiLines.map(m => __curveString(m)).join();
-        geometry.push(`MULTILINESTRING(${lines})`);
-      }
-      else if (multiLines.length > 0) {
-        geometry.push(`LINESTRING${__curveString(multiLines[0])}`);
-      }
+      const stroked = __strokeGeometry(geometry, style);
+      return stroked === geometry ? wkt : __writeWKT(stroked);
+    };
 
-      for (path of compoundCurves) {
-        geometry.push(`COMPOUNDCURVE(${__curveString(path)})`)
-      }
+    // Convert each drawn shape once, in document order.
+    const shapes = new Map();
+    const elements = [svgRoot].concat(__descendants(svgRoot))
+      .filter(__isRendered)
+      .filter(element => !options.visible || __isVisible(element));
 
-      return geometry.join();
+    for (const element of elements) {
+      if (SHAPES.indexOf(element.nodeName) == -1) continue;
+      const wkt = attempt(element, function() {
+        let wkt = __createWKT(element, svgRoot);
+        if (options.stroke) wkt = stroke(element, wkt);
+        return options.clip ? clip(element, wkt) : wkt;
+      });
+      if (wkt === null) continue;
+      const report = check(wkt);
+      const record = __record(element, wkt, report, names);
+      shapes.set(element, {wkt: report ? report.wkt : wkt, record: record});
+      members.push(report ? report.wkt : wkt);
+      geometries.push(record);
     }
-  };
 
-  /**
-   * Construct a SVG path element.
+    // Shapes with an `id` are shared with `geometries`; groups collect the
+    // shapes inside them. Other elements have no geometry of their own.
+    for (const element of elements) {
+      if (!__hasAttr(element, 'id')) continue;
+
+      if (shapes.has(element)) {
+        spaces.push(shapes.get(element).record);
+      } else if (CONTAINERS.indexOf(element.nodeName) != -1) {
+        const inner = __descendants(element)
+          .filter(child => shapes.has(child))
+          .map(child => shapes.get(child));
+        const wkt = attempt(element,
+          () => collection(inner.map(m => m.wkt)));
+        if (wkt === null) continue;
+        spaces.push(Object.assign(__record(element, wkt, check(wkt), names), {
+          members: inner.map(m => m.record)
+        }));
+      }
+    };
+
+    for (const element of elements) {
+      if (element.nodeName != 'text') continue;
+      const textData = attempt(element,
+        () => __getText(element, svgRoot, ids, warn));
+      if (textData) {
+        strings.push(Object.assign(__record(element,
+          labels == 'point' ? textData.anchor : textData.baseline, null,
+          names), {
+          text: textData.text,
+          fontSize: textData.fontSize,
+          fontFamily: textData.fontFamily,
+          baseline: __ewkt(textData.baseline),
+          anchor: __ewkt(textData.anchor),
+          rotation: textData.rotation,
+          box: __ewkt(textData.box),
+          lines: textData.lines
+        }));
+      }
+    };
+
+    // In document order; when strict, the first is thrown.
+    warnings.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    if (options.strict && warnings.length) {
+      const warning = warnings[0];
+      throw new SVGError(`Invalid <${warning.tag}>` +
+        (warning.id ? ` "${warning.id}"` : '') +
+        ` at line ${warning.line}, column ${warning.column}: ` +
+        warning.reason, warning);
+    }
+
+    return {
+      wkt: __ewkt(collection(members)),
+      geometries,
+      spaces,
+      strings,
+      warnings
+    };
+  };
+
+  /**
+   * SVG => WKT, as JSON.
+   *
+   * @param {String} svg: SVG markup.
+   * @param {Object} options: (optional) `format`: `'wkt'` (default), or
+   * `'wkb'`/`'ewkb'` for hex-encoded (E)WKB; `srid`: the SRID for EWKB;
+   * `validate`, `repair`, `strict`, `visible`, `stroke`, `clip`,
+   * `properties` and `labels`, as for `parse`.
+   * @return {String}: JSON `{detail, spaces, strings}`, with the WKT
+   * GEOMETRYCOLLECTION of all shapes, `{id, title, space}` for elements with
+   * an `id` (and `valid` and `issues` when validating) and
+   * `{text, path, fontSize, fontFamily, anchor, rotation, box, lines}` for
+   * `<text>` elements, with `{text, path, anchor, rotation, box, runs}`
+   * lines of `{text, path, fontSize, fontFamily}` runs, each with
+   * `properties` when any are set, plus `warnings` of
+   * `{tag, id, reason, line, column}` when there are any.
+   *
+   * @public
+   */
+  SVGtoWKT.convert = function(svg, options) {
+    options = options || {};
+    return __call(SVGtoWKT, options, () => __convert(svg, options));
+  };
+
+  /**
+   * SVG => JSON, with the settings of the call in place.
+   *
+   * @param {String} svg: SVG markup.
+   * @param {Object} options: `convert` options.
+   * @return {String}: The `convert` JSON.
+   *
+   * @private
+   */
+  var __convert = function(svg, options) {
+
+    var result = SVGtoWKT.parse(svg, options);
+    var write = __geometryWriter(options);
+
+    var response = {
+      detail: write(result.wkt),
+      spaces: result.spaces.map(function(space) {
+        return {
+          id: space.id,
+          title: space.title,
+          space: write(space.wkt),
+          valid: space.valid,
+          issues: space.issues,
+          ...(Object.keys(space.properties).length &&
+            {properties: space.properties})
+        };
+      }),
+      strings: result.strings.map(function(label) {
+        return {
+          text: label.text,
+          path: write(label.wkt),
+          fontSize: label.fontSize,
+          fontFamily: label.fontFamily,
+          anchor: write(label.anchor),
+          rotation: label.rotation,
+          box: write(label.box),
+          lines: label.lines.map(function(line) {
+            return {
+              text: line.text,
+              path: write(line.baseline),
+              anchor: write(line.anchor),
+              rotation: line.rotation,
+              box: write(line.box),
+              runs: line.runs.map(function(run) {
+                return {
+                  text: run.text,
+                  path: write(run.baseline),
+                  fontSize: run.fontSize,
+                  fontFamily: run.fontFamily
+                };
+              })
+            };
+          }),
+          ...(Object.keys(label.properties).length &&
+            {properties: label.properties})
+        };
+      })
+    };
+
+    if (result.warnings.length) {
+      response.warnings = result.warnings.map(function(warning) {
+        return {
+          tag: warning.tag,
+          id: warning.id,
+          reason: warning.reason,
+          line: warning.line,
+          column: warning.column
+        };
+      });
+    }
+
+    return JSON.stringify(response);
+  };
+
+  /**
+   * Select how `convert` writes geometries.
+   *
+   * @param {Object} options: `convert` options.
+   * @return {Function}: Maps WKT to the output format.
+   *
+   * @private
+   */
+  var __geometryWriter = function(options) {
+    switch (options.format || 'wkt') {
+      case 'wkt':
+        return function(wkt) { return wkt; };
+      case 'wkb':
+        return function(wkt) {
+          return SVGtoWKT.toWKB(wkt, {hex: true, srid: null});
+        };
+      case 'ewkb':
+        return function(wkt) {
+          return SVGtoWKT.toWKB(wkt, {hex: true, srid: options.srid});
+        };
+      default:
+        throw new Error('Unknown format: ' + options.format + '.');
+    }
+  };
+
+  /**
+   * Describe a converted element.
+   *
+   * @param {Object} element: The source element.
+   * @param {String} wkt: Its WKT.
+   * @param {Object} report: (optional) Its validation, from `__validate`.
+   * @param {Array} names: (optional) The properties to record, as for
+   *   `__properties`.
+   * @return {Geometry}: The record.
+   *
+   * @private
+   */
+  var __record = function(element, wkt, report, names) {
+    if (report) wkt = report.wkt;
+    return {
+      element: element,
+      tag: element.nodeName,
+      id: __attr(element, 'id'),
+      title: __childText(element, 'title') || __attr(element, 'title'),
+      attributes: Object.assign({}, element.attributes),
+      properties: __properties(element, names || []),
+      bbox: __bbox(wkt),
+      wkt: __ewkt(wkt),
+      ...(report && {valid: report.valid, issues: report.issues})
+    };
+  };
+
+  /**
+   * Collect the properties of an element to record with its geometry.
+   *
+   * @param {Object} element: The element.
+   * @param {Array} names: The property names: `class`; `title` or `desc`
+   *   for the text of those child elements; an attribute prefix ending in
+   *   `*`, such as `data-*`, for the matching attributes of the element and
+   *   its ancestors, the nearest winning; or a presentation property, such
+   *   as `fill`, computed from `style` attributes, style sheets and
+   *   attributes, and inherited.
+   * @return {Object}: The values that are set, by name.
+   *
+   * @private
+   */
+  var __properties = function(element, names) {
+    var properties = {};
+    var has = name => Object.prototype.hasOwnProperty.call(properties, name);
+
+    names.forEach(function(name) {
+      if (name.endsWith('*')) {
+        var prefix = name.slice(0, -1);
+        for (var el = element; el && el.nodeType == 1; el = el.parentNode) {
+          Object.keys(el.attributes).forEach(function(attribute) {
+            if (attribute.startsWith(prefix) && !has(attribute)) {
+              properties[attribute] = el.attributes[attribute];
+            }
+          });
+        }
+        return;
+      }
+
+      var value = name == 'class' ? __attr(element, 'class') :
+        name == 'title' || name == 'desc' ? __childText(element, name) :
+        __inheritedProperty(element, name);
+      if (value !== undefined && value.trim()) properties[name] = value.trim();
+    });
+
+    return properties;
+  };
+
+  /**
+   * Describe an element that could not be converted.
+   *
+   * @param {Object} element: The source element.
+   * @param {String} reason: A description of the error.
+   * @return {Warning}: The warning.
+   *
+   * @private
+   */
+  var __warning = function(element, reason) {
+    return {
+      element: element,
+      tag: element.nodeName,
+      id: __attr(element, 'id'),
+      reason: reason,
+      line: element.line,
+      column: element.column
+    };
+  };
+
+  /**
+   * Find the errors in an element's attributes. As in SVG, errors in path
+   * data and `points` keep the part before the error, and an invalid
+   * `transform` is ignored; any other error leaves the element out.
+   *
+   * @param {Object} element: The element.
+   * @return {Array}: `{reason, partial}` for each error, where `partial`
+   *   is true if the element can still be converted.
+   *
+   * @private
+   */
+  var __checkElement = function(element) {
+    var problems = [];
+
+    var partial = function(reason) {
+      problems.push({reason: reason, partial: true});
+    };
+    var fatal = function(reason) {
+      problems.push({reason: reason, partial: false});
+    };
+
+    // Lengths must parse if present, sizes must be present, and neither
+    // sizes nor radii may be negative. A zero radius disables rendering.
+    var lengths = function(names, sizes, radii) {
+      names.concat(sizes).forEach(function(name) {
+        var value = __attr(element, name);
+        if (value === undefined) {
+          if (sizes.indexOf(name) != -1) fatal(`Missing \`${name}\`.`);
+        } else if (isNaN(__lengthAttr(element, name)) &&
+            !(/^r[xy]$/.test(name) && value.trim() == 'auto')) {
+          fatal(`Invalid length \`${name}="${value}"\`.`);
+        } else if (!/^c?[xy]\d?$/.test(name) &&
+            __lengthAttr(element, name) < 0) {
+          fatal(`Negative \`${name}="${value}"\`.`);
+        } else if (radii && radii.indexOf(name) != -1 &&
+            __lengthAttr(element, name) == 0) {
+          fatal(`Zero \`${name}="${value}"\` disables rendering.`);
+        }
+      });
+    };
+
+    var points = function() {
+      var value = __attr(element, 'points');
+      if (value === undefined) return fatal('Missing `points`.');
+      var numbers = __numbers(value, reason =>
+        partial(`Invalid \`points\`: ${reason}`));
+      if (numbers.length % 2) {
+        partial('Odd number of coordinates in `points`.');
+      }
+    };
+
+    __parseTransform(__attr(element, 'transform'), partial);
+
+    switch (element.nodeName) {
+      case 'polygon':
+      case 'polyline':
+        points();
+        break;
+      case 'line':
+        lengths(['x1', 'y1', 'x2', 'y2'], []);
+        break;
+      case 'rect':
+        lengths(['x', 'y', 'rx', 'ry'], ['width', 'height']);
+        break;
+      case 'circle':
+        lengths(['cx', 'cy'], ['r'], ['r']);
+        break;
+      case 'ellipse':
+        lengths(['cx', 'cy'], ['rx', 'ry'], ['rx', 'ry']);
+        break;
+      case 'path':
+        if (!__hasAttr(element, 'd')) fatal('Missing `d`.');
+        else __parsePathData(__attr(element, 'd'), partial);
+        break;
+    }
+
+    return problems;
+  };
+
+  /**
+   * The bounding box of all coordinates in a WKT string, widened to the
+   * extremes of any circular arcs.
+   *
+   * @param {String} wkt: The WKT.
+   * @return {Object|null}: `{minX, minY, maxX, maxY}`, null when empty.
+   *
+   * @private
+   */
+  var __bbox = function(wkt) {
+    var box = null;
+
+    var extend = function(x, y) {
+      if (isNaN(x) || isNaN(y)) return;
+      if (!box) box = {minX: x, minY: y, maxX: x, maxY: y};
+      box.minX = Math.min(box.minX, x); box.maxX = Math.max(box.maxX, x);
+      box.minY = Math.min(box.minY, y); box.maxY = Math.max(box.maxY, y);
+    };
+
+    var visit = function(geometry) {
+      if (geometry.parts) return geometry.parts.forEach(visit);
+
+      var pts = geometry.points.map(__ptFromValues);
+      pts.forEach(pt => extend(pt.x, pt.y));
+      if (geometry.type != 'CIRCULARSTRING') return;
+
+      // Arcs bulge past their points where they cross an axis direction.
+      for (var i = 0; i + 2 < pts.length; i += 2) {
+        var arc = __threePointArc(pts[i], pts[i + 1], pts[i + 2]);
+        if (!arc) continue;
+        [[1, 0], [0, 1], [-1, 0], [0, -1]].forEach(function(dir) {
+          if (__angleOnArc(arc, Math.atan2(dir[1], dir[0]))) {
+            extend(arc.cx + arc.r * dir[0], arc.cy + arc.r * dir[1]);
+          }
+        });
+      }
+    };
+
+    var geometry = __readWKT(wkt);
+    if (geometry) visit(geometry);
+
+    return box;
+  };
+
+  /**
+   * The circle through three points, with the angles swept from the first
+   * point through the second to the third.
+   *
+   * @param {Object} p1: Start point.
+   * @param {Object} p2: Point on the arc.
+   * @param {Object} p3: End point.
+   * @return {Object|null}: `{cx, cy, r, start, sweep}`, null if collinear.
+   *
+   * @private
+   */
+  var __threePointArc = function(p1, p2, p3) {
+    var d = 2 * (p1.x * (p2.y - p3.y) + p2.x * (p3.y - p1.y) +
+      p3.x * (p1.y - p2.y));
+    if (d == 0) return null;
+
+    var s1 = p1.x * p1.x + p1.y * p1.y;
+    var s2 = p2.x * p2.x + p2.y * p2.y;
+    var s3 = p3.x * p3.x + p3.y * p3.y;
+    var cx = (s1 * (p2.y - p3.y) + s2 * (p3.y - p1.y) + s3 * (p1.y - p2.y)) / d;
+    var cy = (s1 * (p3.x - p2.x) + s2 * (p1.x - p3.x) + s3 * (p2.x - p1.x)) / d;
+
+    var a1 = Math.atan2(p1.y - cy, p1.x - cx);
+    var a3 = Math.atan2(p3.y - cy, p3.x - cx);
+
+    // Counter-clockwise when the points turn left.
+    var norm = function(a) {
+      a = a % (2 * Math.PI);
+      return a < 0 ? a + 2 * Math.PI : a;
+    };
+    var sweep = d > 0 ? norm(a3 - a1) : -norm(a1 - a3);
+
+    return {
+      cx: cx, cy: cy, r: Math.hypot(p1.x - cx, p1.y - cy),
+      start: a1, sweep: sweep
+    };
+  };
+
+  /**
+   * Whether an angle falls within the sweep of a three-point arc.
+   *
+   * @param {Object} arc: The arc, from `__threePointArc`.
+   * @param {Number} angle: The angle, in radians.
+   * @return {Boolean}: True if the arc passes through the angle.
+   *
+   * @private
+   */
+  var __angleOnArc = function(arc, angle) {
+    var offset = (angle - arc.start) % (2 * Math.PI);
+    if (arc.sweep < 0) offset = -offset;
+    if (offset < 0) offset += 2 * Math.PI;
+    return offset <= Math.abs(arc.sweep);
+  };
+
+  /**
+   * Lay out a `<text>` element and write its lines, runs and extent in
+   * output coordinates.
+   *
+   * @param {Object} element: The `<text>` element.
+   * @param {Object} svg: The root `<svg>`.
+   * @param {Map} ids: Elements by `id`, from `__idIndex`.
+   * @param {Function} onError: Called with the element and a description
+   *   of each problem.
+   * @return {Object|null}: The label fields, or null without characters.
+   *
+   * @private
+   */
+  var __getText = function(element, svg, ids, onError) {
+    const lines = __layoutText(element, ids, onError).filter(__anchorLine);
+    if (!lines.length) return null;
+
+    const matrix = __outputCTM(element, svg);
+    const m = __settings.GEOREFERENCE ?
+      __multiply(__settings.GEOREFERENCE, matrix) : matrix;
+    const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+
+    const linestring = pts => ({
+      type: 'LINESTRING',
+      points: pts.map(pt => __coord(__output(pt, matrix)))
+    });
+    const point = pt =>
+      __writeWKT({type: 'POINT', points: [__coord(__output(pt, matrix))]});
+    const box = runs =>
+      __writeWKT(__polygonsGeometry(__textBox(runs, matrix, scale)));
+
+    // The direction of the baseline at a point, in degrees counterclockwise.
+    const rotation = function(pt) {
+      const p = __output(pt, matrix);
+      const q = __output({x: pt.x + pt.dx, y: pt.y + pt.dy}, matrix);
+      const angle = __round(Math.atan2(q.y - p.y, q.x - p.x) * 180 / Math.PI);
+      return angle == -180 ? 180 : angle;
+    };
+
+    const baselines = lines.map(line =>
+      linestring(__textBaseline(line, line.from, line.to, 0)));
+    const anchor = __textPosition(lines[0], lines[0].anchor, 0);
+    const size = __inheritedProperty(element, 'font-size');
+    const font = __inheritedProperty(element, 'font-family');
+
+    return {
+      text: __textContent(element),
+      baseline: __writeWKT(lines.length == 1 ? baselines[0] :
+        {type: 'MULTILINESTRING', parts: baselines}),
+      anchor: point(anchor),
+      rotation: rotation(anchor),
+      box: box([].concat(...lines.map(line => line.runs))),
+      lines: lines.map(function(line, i) {
+        const anchor = __textPosition(line, line.anchor, 0);
+        return {
+          text: line.runs.map(run => run.text).join(''),
+          baseline: __ewkt(__writeWKT(baselines[i])),
+          anchor: __ewkt(point(anchor)),
+          rotation: rotation(anchor),
+          box: __ewkt(box(line.runs)),
+          runs: line.runs.map(function(run) {
+            const size = __inheritedProperty(run.element, 'font-size');
+            const font = __inheritedProperty(run.element, 'font-family');
+            return {
+              element: run.element,
+              tag: run.element.nodeName,
+              text: run.text,
+              baseline: __ewkt(__writeWKT(linestring(__textBaseline(line,
+                run.offset, run.offset + run.advance, run.dy)))),
+              ...(size && {fontSize: size}),
+              ...(font && {fontFamily: font})
+            };
+          })
+        };
+      }),
+      ...(size && { fontSize: size}),
+      ...(font && { fontFamily: font})
+    };
+  };
+
+  /**
+   * Lay out the characters of a `<text>` element into lines, in its user
+   * space. Each absolute `x` or `y` on the element or a `<tspan>`, and each
+   * `<textPath>`, starts a line (a text chunk), which holds a run of
+   * characters for each stretch of content of the same element. Only the
+   * first value of `x`, `y`, `dx` and `dy` lists is read, and white space is
+   * collapsed as with `xml:space="default"`.
+   *
+   * @param {Object} element: The `<text>` element.
+   * @param {Map} ids: Elements by `id`, to find `<textPath>` paths.
+   * @param {Function} onError: Called with an element and a description of
+   *   each reference to a path that cannot be followed.
+   * @return {Array}: Lines of `{element, path, origin, anchor, runs}`: the
+   *   element that started it, its path (from `__textPathOf`) or else its
+   *   `{x, y}` origin, the offset of its anchor point along the path or from
+   *   the origin, and `{element, text, offset, dy, advance, size}` runs.
+   *
+   * @private
+   */
+  var __layoutText = function(element, ids, onError) {
+    var lines = [];
+    var line = null;
+    var run = null;
+    var x = 0, y = 0;
+    var space = true;
+
+    var start = function(el, path, offset) {
+      line = {element: el, path: path, origin: {x: x, y: y}, anchor: offset,
+        cursor: offset, runs: []};
+      lines.push(line);
+      space = true;
+    };
+
+    var add = function(el, value) {
+      if (!line) start(el, null, 0);
+      var text = value.replace(/\s+/g, ' ');
+      if (space) text = text.replace(/^ /, '');
+      if (!text) return;
+      space = text.endsWith(' ');
+
+      if (!run) {
+        run = {element: el, line: line, text: '', offset: line.cursor,
+          dy: line.path ? 0 : y - line.origin.y, advance: 0,
+          size: __fontSize(el)};
+        line.runs.push(run);
+      }
+      run.text += text;
+      run.advance += text.length * GLYPH_ADVANCE * run.size;
+      line.cursor = run.offset + run.advance;
+    };
+
+    var visit = function(el) {
+      run = null;
+
+      if (el.nodeName == 'textPath') {
+        var path = __textPathOf(el, ids, onError);
+        if (!path) return;
+        start(el, path, __length(__attr(el, 'startOffset') || '0',
+          path.length, __fontSize(el)));
+        line.cursor += __firstNumber(__attr(el, 'dx'));
+      } else if (line && line.path) {
+        line.cursor += __firstNumber(__attr(el, 'dx'));
+      } else {
+        // Continue from the current text position, unless set.
+        if (line) x = line.origin.x + line.cursor;
+        var absolute = __hasAttr(el, 'x') || __hasAttr(el, 'y');
+        if (__hasAttr(el, 'x')) x = __firstNumber(__attr(el, 'x'));
+        if (__hasAttr(el, 'y')) y = __firstNumber(__attr(el, 'y'));
+        x += __firstNumber(__attr(el, 'dx'));
+        y += __firstNumber(__attr(el, 'dy'));
+        if (!line || absolute) {
+          start(el, null, 0);
+        } else {
+          line.cursor = x - line.origin.x;
+        }
+      }
+
+      el.childNodes.forEach(function(child) {
+        if (child.nodeType == 3) {
+          add(el, child.nodeValue);
+        } else if (TEXT_CONTENT.indexOf(child.nodeName) != -1) {
+          visit(child);
+          run = null;
+        }
+      });
+
+      // Content after a path continues straight from its end.
+      if (el.nodeName == 'textPath') {
+        var end = __pointAlong(line.path, line.cursor);
+        x = end.x;
+        y = end.y;
+        line = null;
+      }
+    };
+
+    visit(element);
+
+    // Trailing spaces take no room.
+    lines.forEach(function(line) {
+      var last = line.runs[line.runs.length - 1];
+      if (last && last.text.endsWith(' ')) {
+        last.text = last.text.slice(0, -1);
+        last.advance -= GLYPH_ADVANCE * last.size;
+        if (!last.text) line.runs.pop();
+      }
+    });
+
+    return lines.filter(line => line.runs.length);
+  };
+
+  /**
+   * Shift the runs of a line by the `text-anchor` of the element that
+   * started it, and set the `from` and `to` offsets of the drawn part of
+   * the line: characters beyond the ends of a path are not drawn.
+   *
+   * @param {Object} line: A line, from `__layoutText`.
+   * @return {Boolean}: Whether any of the line is drawn.
+   *
+   * @private
+   */
+  var __anchorLine = function(line) {
+    var last = line.runs[line.runs.length - 1];
+    var width = last.offset + last.advance - line.anchor;
+    var anchor = (__inheritedProperty(line.element, 'text-anchor') || '')
+      .trim();
+    var shift = anchor == 'middle' ? width / 2 : anchor == 'end' ? width : 0;
+
+    line.runs.forEach(run => run.offset -= shift);
+    line.from = line.anchor - shift;
+    line.to = line.from + width;
+
+    if (line.path) {
+      line.from = Math.max(line.from, 0);
+      line.to = Math.min(line.to, line.path.length);
+      line.runs = line.runs.filter(run => run.offset < line.to &&
+        run.offset + run.advance > line.from);
+    }
+
+    return line.to > line.from;
+  };
+
+  /**
+   * A point on a line of text, in the user space of the `<text>`.
+   *
+   * @param {Object} line: A line, from `__layoutText`.
+   * @param {Number} offset: The offset along the line.
+   * @param {Number} dy: The shift of the baseline, for straight lines.
+   * @return {Object}: `{x, y, dx, dy}`: the point and the unit direction of
+   *   the baseline there.
+   *
+   * @private
+   */
+  var __textPosition = function(line, offset, dy) {
+    if (line.path) return __pointAlong(line.path, offset);
+    return {x: line.origin.x + offset, y: line.origin.y + dy, dx: 1, dy: 0};
+  };
+
+  /**
+   * The baseline of a stretch of a line of text.
+   *
+   * @param {Object} line: A line, from `__layoutText`.
+   * @param {Number} from: The offset of the start.
+   * @param {Number} to: The offset of the end.
+   * @param {Number} dy: The shift of the baseline, for straight lines.
+   * @return {Array}: `{x, y}` points, in the user space of the `<text>`.
+   *
+   * @private
+   */
+  var __textBaseline = function(line, from, to, dy) {
+    if (!line.path) {
+      return [__textPosition(line, from, dy), __textPosition(line, to, dy)];
+    }
+    from = Math.max(from, 0);
+    to = Math.min(to, line.path.length);
+    var pts = [__pointAlong(line.path, from)];
+    line.path.lengths.forEach(function(length, i) {
+      if (length > from && length < to) pts.push(line.path.pts[i]);
+    });
+    pts.push(__pointAlong(line.path, to));
+    return pts;
+  };
+
+  /**
+   * Estimate the area covered by the glyphs of runs of text, from their
+   * advance and the `ASCENT` and `DESCENT` of their font: one box around
+   * straight runs, and a band along the path for runs on one.
+   *
+   * @param {Array} runs: Runs, from `__layoutText`.
+   * @param {Array} matrix: The output transform of the `<text>`.
+   * @param {Number} scale: The scale of lengths in output coordinates.
+   * @return {Array}: Polygons, each an array of `{x, y}` rings.
+   *
+   * @private
+   */
+  var __textBox = function(runs, matrix, scale) {
+    var straight = runs.filter(run => !run.line.path);
+    var polygons = [];
+
+    if (straight.length) {
+      var ring = [[1, 1], [0, 1], [0, 0], [1, 0]].map(function(corner) {
+        var values = straight.map(function(run) {
+          var origin = run.line.origin;
+          return {
+            x: origin.x + run.offset + corner[0] * run.advance,
+            y: origin.y + run.dy + (corner[1] ? DESCENT : -ASCENT) * run.size
+          };
+        });
+        var pick = (i, name) => (corner[i] ? Math.max : Math.min)(
+          ...values.map(value => value[name]));
+        return __output({x: pick(0, 'x'), y: pick(1, 'y')}, matrix);
+      });
+      polygons.push([__signedArea(ring) < 0 ? ring.reverse() : ring]);
+    }
+
+    // A band along the baseline, raised to the middle of the glyphs.
+    runs.filter(run => run.line.path).forEach(function(run) {
+      var raise = (ASCENT - DESCENT) / 2 * run.size;
+      var pts = __textBaseline(run.line, run.offset,
+        run.offset + run.advance, 0);
+      var raised = pts.map(function(pt, i) {
+        var p = pts[Math.max(i - 1, 0)], q = pts[Math.max(i, 1)];
+        var length = __distance(p, q) || 1;
+        return __output({
+          x: pt.x + (q.y - p.y) / length * raise,
+          y: pt.y - (q.x - p.x) / length * raise
+        }, matrix);
+      });
+      polygons = polygons.concat(__strokeLines([raised], {
+        width: (ASCENT + DESCENT) * run.size * scale,
+        linejoin: 'bevel',
+        linecap: 'butt',
+        miterlimit: 4
+      }));
+    });
+
+    return polygons.length > 1 ? __unionPolygons(polygons) : polygons;
+  };
+
+  /**
+   * The path a `<textPath>` lays out text along: its `path` attribute, or
+   * else the `<path>` its `href` refers to, in its own `transform`. Only the
+   * first subpath is followed.
+   *
+   * @param {Object} textPath: The `<textPath>` element.
+   * @param {Map} ids: Elements by `id`.
+   * @param {Function} onError: Called with the `<textPath>` and a
+   *   description of a reference that cannot be followed.
+   * @return {Object|null}: `{pts, lengths, length}`: points in the user space
+   *   of the `<text>`, their distances along the path and its length, or
+   *   null without a path.
+   *
+   * @private
+   */
+  var __textPathOf = function(textPath, ids, onError) {
+    var d = __attr(textPath, 'path');
+    var matrix = IDENTITY;
+
+    if (d === undefined) {
+      var href = __attr(textPath, 'href') || __attr(textPath, 'xlink:href');
+      if (href === undefined) return onError(textPath, 'Missing `href`.');
+      var id = /^\s*#(.*?)\s*$/.exec(href);
+      var target = id && ids.get(id[1]) || null;
+      if (!target || target.nodeName != 'path') {
+        return onError(textPath, `No path for \`href="${href}"\`.`);
+      }
+      d = __attr(target, 'd') || '';
+      matrix = __parseTransform(__attr(target, 'transform'));
+    }
+
+    var pts = [];
+    var first = {x: 0, y: 0};
+    var last = first;
+    for (const step of __parsePathData(d)) {
+      if (step.type == 'M') {
+        if (pts.length) break;
+        last = first = __ptFromValues(step.values);
+        continue;
+      }
+      var segment = __segment(last, step.type == 'Z' ?
+        {type: 'L', values: [first.x, first.y]} : step, matrix);
+      var n = step.type == 'C' || step.type == 'Q' || step.type == 'A' ?
+        Math.max(1, Math.ceil(segment.length * __settings.DENSITY)) : 1;
+      if (!pts.length) pts.push(segment.point(0));
+      for (var i = 1; i <= n; i++) {
+        pts.push(segment.pointAt(segment.length * i / n));
+      }
+      last = step.type == 'Z' ? first : __ptFromValues(step.values);
+    }
+
+    // Distances along the path, without repeated points.
+    pts = pts.filter((pt, i) => i == 0 || __distance(pts[i - 1], pt) > 0);
+    if (pts.length < 2) return null;
+    var lengths = [0];
+    for (var j = 1; j < pts.length; j++) {
+      lengths.push(lengths[j - 1] + __distance(pts[j - 1], pts[j]));
+    }
+
+    return {pts: pts, lengths: lengths, length: lengths[lengths.length - 1]};
+  };
+
+  /**
+   * The point at a distance along a path, clamped to its ends.
+   *
+   * @param {Object} path: The path, from `__textPathOf`.
+   * @param {Number} distance: The distance.
+   * @return {Object}: `{x, y, dx, dy}`: the point and the unit direction of
+   *   the path there.
+   *
+   * @private
+   */
+  var __pointAlong = function(path, distance) {
+    var i = 1;
+    while (i < path.pts.length - 1 && path.lengths[i] < distance) i++;
+    var a = path.pts[i - 1], b = path.pts[i];
+    var span = path.lengths[i] - path.lengths[i - 1];
+    var f = Math.max(0, Math.min(1, (distance - path.lengths[i - 1]) / span));
+    return {
+      x: a.x + (b.x - a.x) * f,
+      y: a.y + (b.y - a.y) * f,
+      dx: (b.x - a.x) / span,
+      dy: (b.y - a.y) / span
+    };
+  };
+
+  /**
+   * Convert a shape element into WKT.
+   *
+   * @param {Object} element: The shape element.
+   * @param {Object} svg: The root `<svg>`.
+   * @param {Array} matrix: (optional) Its transform to output coordinates.
+   * @return {String}: Generated WKT, `EMPTY` for elements without shape.
+   *
+   * @private
+   */
+  var __createWKT = function(element, svg, matrix) {
+    // Map the element's user space into the root's.
+    matrix = matrix || __outputCTM(element, svg);
+    // Coordinates default to 0; sizes and radii stay NaN when missing.
+    const length = (name, fallback) =>
+      __lengthAttr(element, name, fallback);
+    switch (element.nodeName) {
+      case 'polygon':
+        return __polygon(__attr(element, 'points'), matrix)
+      case 'polyline':
+        return __polyline(__attr(element, 'points'), matrix);
+        case 'line':
+        return __line(
+          length('x1', 0),
+          length('y1', 0),
+          length('x2', 0),
+          length('y2', 0),
+          matrix
+        );
+        case 'rect':
+        return __rect(
+          length('x', 0),
+          length('y', 0),
+          length('width'),
+          length('height'),
+          length('rx'),
+          length('ry'),
+          matrix
+        );
+        case 'circle':
+        return __circle(
+          length('cx', 0),
+          length('cy', 0),
+          length('r'),
+          matrix
+        );
+        case 'ellipse':
+        return __ellipse(
+          length('cx', 0),
+          length('cy', 0),
+          length('rx'),
+          length('ry'),
+          matrix
+        );
+        case 'path':
+        return __path(
+          __attr(element, 'd'),
+          matrix,
+          __inheritedProperty(element,
+            __closest(element, 'clipPath') ? 'clip-rule' : 'fill-rule')
+        );
+      default:
+        return 'EMPTY';
+    }
+  };
+
+  /**
+   * Parse SVG markup into a document.
+   *
+   * @param {String} svg: SVG markup.
+   * @return {Object}: The parsed SVG document.
+   *
+   * @private
+   */
+  var __getXml = function(svg) {
+    // Halt if svg is undefined or empty.
+    if (typeof svg !== 'string' || svg.trim() === '') {
+      throw new Error('Empty XML.');
+    }
+
+    // Parse the raw XML, halting if malformed.
+    return __parseXml(svg);
+  }
+
+  /**
+   * Parse XML markup into a minimal document tree. Elements are plain
+   * objects with `nodeName`, `attributes`, `childNodes`, `parentNode` and
+   * the `line` and `column` of their start tag, so no DOM implementation is
+   * needed. Tabs and line breaks are dropped from text and read as spaces in
+   * attribute values and style sheets.
+   *
+   * @param {String} xml: XML markup.
+   * @return {Object}: A `{documentElement}` document.
+   *
+   * @private
+   */
+  var __parseXml = function(xml) {
+    var doc = {nodeType: 9, childNodes: []};
+    var stack = [doc];
+    var i = 0;
+    var root = null;
+
+    // Offsets of the line starts, to locate errors and elements.
+    var lines = [0];
+    xml.replace(/\r\n?|\n/g, function(newline, offset) {
+      lines.push(offset + newline.length);
+    });
+
+    var locate = function(offset) {
+      var line = lines.length;
+      while (lines[line - 1] > offset) line--;
+      return {line: line, column: offset - lines[line - 1] + 1};
+    };
+
+    var fail = function(reason) {
+      var at = locate(Math.min(i, xml.length));
+      throw new SVGError(`Invalid XML: ${reason} at line ${at.line}, ` +
+        `column ${at.column}.`, Object.assign({reason: reason}, at));
+    };
+
+    var clean = function(text, parent) {
+      var space = parent.nodeName == 'style' ? ' ' : '';
+      return text.replace(/\r\n|\r|\n|\t/g, space);
+    };
+
+    // Attribute values read line breaks and tabs as spaces.
+    var value = function(text) {
+      return __decodeEntities(text.replace(/\r\n|\r|\n|\t/g, ' '));
+    };
+
+    var skipPast = function(token) {
+      var end = xml.indexOf(token, i);
+      if (end == -1) fail(`missing \`${token}\``);
+      var content = xml.slice(i, end);
+      i = end + token.length;
+      return content;
+    };
+
+    var append = function(node) {
+      var parent = stack[stack.length - 1];
+      node.parentNode = parent;
+      parent.childNodes.push(node);
+    };
+
+    while (i < xml.length) {
+      var parent = stack[stack.length - 1];
+
+      if (xml[i] != '<') {
+        var end = xml.indexOf('<', i);
+        if (end == -1) end = xml.length;
+        var text = xml.slice(i, end);
+        i = end;
+        if (parent === doc) {
+          if (text.trim()) {
+            i = end - text.length + text.search(/\S/);
+            fail('text outside the root element');
+          }
+        } else {
+          append({
+            nodeType: 3,
+            nodeValue: __decodeEntities(clean(text, parent))
+          });
+        }
+      }
+
+      else if (xml.startsWith('<!--', i)) {
+        i += 4;
+        skipPast('-->');
+      }
+
+      else if (xml.startsWith('<![CDATA[', i)) {
+        if (parent === doc) fail('CDATA outside the root element');
+        i += 9;
+        append({
+          nodeType: 3,
+          nodeValue: clean(skipPast(']]>'), parent)
+        });
+      }
+
+      else if (xml.startsWith('<?', i)) {
+        i += 2;
+        skipPast('?>');
+      }
+
+      else if (xml.startsWith('<!DOCTYPE', i)) {
+        // Skip the declaration, including any internal subset.
+        var subset = xml.indexOf('[', i);
+        var close = xml.indexOf('>', i);
+        if (subset != -1 && subset < close) {
+          i = subset;
+          skipPast(']');
+        }
+        skipPast('>');
+      }
+
+      else if (xml[i + 1] == '/') {
+        var start = i;
+        i += 2;
+        var name = skipPast('>').trim();
+        if (parent === doc || name != parent.tagName) {
+          i = start;
+          fail(parent === doc ? `unexpected \`</${name}>\`` :
+            `\`</${name}>\` does not close \`<${parent.tagName}>\``);
+        }
+        stack.pop();
+      }
+
+      else {
+        var tag = /^<([^\s\/>]+)/.exec(xml.slice(i, i + 256));
+        if (!tag) fail('invalid tag');
+        var tagStart = i;
+        var location = locate(i);
+        i += tag[0].length;
+
+        var element = {
+          nodeType: 1,
+          tagName: tag[1],
+          nodeName: tag[1].replace(/^.*:/, ''),
+          attributes: {},
+          childNodes: [],
+          line: location.line,
+          column: location.column
+        };
+
+        // Attributes, up to `>` or `/>`.
+        var attr = /\s*([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')|\s*(\/?>)/y;
+        for (;;) {
+          attr.lastIndex = i;
+          var match = attr.exec(xml);
+          if (!match) fail(`invalid attribute in \`<${tag[1]}>\``);
+          i = attr.lastIndex;
+          if (match[4]) break;
+          element.attributes[match[1]] = value(
+            match[2] !== undefined ? match[2] : match[3]
+          );
+        }
+
+        if (parent === doc) {
+          if (root) {
+            i = tagStart;
+            fail('more than one root element');
+          }
+          root = element;
+        }
+
+        append(element);
+        if (match[4] == '>') stack.push(element);
+      }
+    }
+
+    // Halt on unclosed elements or a missing root.
+    if (stack.length > 1) {
+      fail(`\`<${stack[stack.length - 1].tagName}>\` is not closed`);
+    }
+    if (!root) fail('no root element');
+
+    doc.documentElement = root;
+    return doc;
+  };
+
+  /**
+   * Replace XML character and predefined entity references.
+   *
+   * @param {String} text: Raw character data.
+   * @return {String}: Decoded text.
+   *
+   * @private
+   */
+  var __decodeEntities = function(text) {
+    var named = {lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''};
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, function(ref, name) {
+      if (name[0] == '#') {
+        return String.fromCodePoint(name[1] == 'x' || name[1] == 'X' ?
+          parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+      }
+      return named.hasOwnProperty(name) ? named[name] : ref;
+    });
+  };
+
+  /**
+   * All descendant elements of a node, in document order.
+   *
+   * @param {Object} node: The parent node.
+   * @return {Array}: The descendant elements.
+   *
+   * @private
+   */
+  var __descendants = function(node) {
+    var found = [];
+    var stack = node.childNodes.slice().reverse();
+    while (stack.length) {
+      var child = stack.pop();
+      if (child.nodeType != 1) continue;
+      found.push(child);
+      for (var i = child.childNodes.length - 1; i >= 0; i--) {
+        stack.push(child.childNodes[i]);
+      }
+    }
+    return found;
+  };
+
+  /**
+   * Descendant elements with a given (local) tag name, in document order.
+   *
+   * @param {Object} node: The parent node.
+   * @param {String} name: The tag name.
+   * @return {Array}: The matching elements.
+   *
+   * @private
+   */
+  var __getElementsByTagName = function(node, name) {
+    return __descendants(node).filter(el => el.nodeName == name);
+  };
+
+  /**
+   * Whether an element is drawn, rather than only defined inside `<defs>`,
+   * a `<symbol>` that is not an instance, or another definition.
+   *
+   * @param {Object} element: The element.
+   * @return {Boolean}: True if drawn.
+   *
+   * @private
+   */
+  var __isRendered = function(element) {
+    for (var el = element; el && el.nodeType == 1; el = el.parentNode) {
+      if (DEFINITIONS.indexOf(el.nodeName) == -1) continue;
+      if (!(el.nodeName == 'symbol' && el.parentNode.nodeName == 'use')) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  /**
+   * Index the elements of a document by `id`; the first of duplicates wins.
+   *
+   * @param {Object} root: The root element.
+   * @return {Map}: Elements by `id`.
+   *
+   * @private
+   */
+  var __idIndex = function(root) {
+    var ids = new Map();
+    [root].concat(__descendants(root)).forEach(function(el) {
+      if (__hasAttr(el, 'id') && !ids.has(el.attributes.id)) {
+        ids.set(el.attributes.id, el);
+      }
+    });
+    return ids;
+  };
+
+  /**
+   * Expand each `<use>` into a copy of the element it references, appended
+   * as its only child, so that the copy is converted like any other content
+   * of the `<use>`. Copies keep the location of their source and lose their
+   * `id`; references inside them are expanded in turn.
+   *
+   * @param {Object} root: The root element.
+   * @param {Function} onError: Called with the `<use>` and a description of
+   *   each reference that cannot be expanded.
+   *
+   * @private
+   */
+  var __expandUses = function(root, onError) {
+    var ids = __idIndex(root);
+
+    var clone = function(node, parent) {
+      var copy = Object.assign({}, node, {parentNode: parent});
+      if (node.nodeType != 1) return copy;
+      copy.source = node.source || node;
+      copy.attributes = Object.assign({}, node.attributes);
+      delete copy.attributes.id;
+      // Skip the copies already expanded into a `<use>`.
+      copy.childNodes = node.childNodes
+        .filter(child => node.nodeName != 'use' || !child.source)
+        .map(child => clone(child, copy));
+      return copy;
+    };
+
+    var expand = function(use) {
+      var href = __attr(use, 'href') || __attr(use, 'xlink:href');
+      if (href === undefined) return onError(use, 'Missing `href`.');
+
+      var id = /^\s*#(.*?)\s*$/.exec(href);
+      var target = id && ids.get(id[1]) || null;
+      if (!target) return onError(use, `No element for \`href="${href}"\`.`);
+
+      // A reference to itself or an ancestor would never end.
+      for (var el = use; el && el.nodeType == 1; el = el.parentNode) {
+        if ((el.source || el) === target) {
+          return onError(use, `Circular reference to \`${href.trim()}\`.`);
+        }
+      }
+
+      var copy = clone(target, use);
+
+      // The size of the `<use>` sizes a `<symbol>` or `<svg>`.
+      if (target.nodeName == 'symbol' || target.nodeName == 'svg') {
+        ['width', 'height'].forEach(function(name) {
+          if (__hasAttr(use, name)) copy.attributes[name] = use.attributes[name];
+        });
+      }
+
+      use.childNodes = [copy];
+      __getElementsByTagName(copy, 'use').forEach(expand);
+      if (copy.nodeName == 'use') expand(copy);
+    };
+
+    __getElementsByTagName(root, 'use').forEach(expand);
+  };
+
+  /**
+   * Read an attribute value.
+   *
+   * @param {Object} element: The element.
+   * @param {String} name: The attribute name.
+   * @return {String|undefined}: The value, if set.
+   *
+   * @private
+   */
+  var __attr = function(element, name) {
+    return __hasAttr(element, name) ? element.attributes[name] : undefined;
+  };
+
+  var __hasAttr = function(element, name) {
+    return Object.prototype.hasOwnProperty.call(element.attributes, name);
+  };
+
+  /**
+   * Read a presentation property of an element, in cascade order:
+   * `!important` declarations of its `style` attribute, then of style
+   * sheets, then the other declarations of its `style` attribute, then of
+   * style sheets, and last the attribute of the same name.
+   *
+   * @param {Object} element: The element.
+   * @param {String} name: The property name.
+   * @return {String|undefined}: The value, if set.
+   *
+   * @private
+   */
+  var __property = function(element, name) {
+    var inline = {normal: new Map(), important: new Map()};
+    __declarations(__attr(element, 'style') || '').forEach(function(rule) {
+      inline[rule.important ? 'important' : 'normal'].set(rule.name,
+        rule.value);
+    });
+    var sheet = element.sheet || {normal: new Map(), important: new Map()};
+    var layers = [inline.important, sheet.important, inline.normal,
+      sheet.normal];
+    for (var i = 0; i < layers.length; i++) {
+      if (layers[i].has(name)) return layers[i].get(name);
+    }
+    return __attr(element, name);
+  };
+
+  /**
+   * Parse CSS declarations, as in a `style` attribute or a rule block.
+   *
+   * @param {String} text: The declarations.
+   * @return {Array}: `{name, value, important}` for each valid declaration,
+   *   with the name in lower case.
+   *
+   * @private
+   */
+  var __declarations = function(text) {
+    var declarations = [];
+    text.split(';').forEach(function(rule) {
+      var match = /^\s*([\w-]+)\s*:\s*(.*?)\s*(!\s*important\s*)?$/i
+        .exec(rule);
+      if (match && match[2]) declarations.push({
+        name: match[1].toLowerCase(),
+        value: match[2],
+        important: !!match[3]
+      });
+    });
+    return declarations;
+  };
+
+  /**
+   * Apply the rules of the `<style>` sheets in a document to the elements
+   * they select. Each element gets a `sheet` of `normal` and `important`
+   * declarations, as Maps of property values that won by specificity and
+   * then by order. Selectors may combine type, `*`, `.class`, `#id`,
+   * `[name]` and `[name=value]` selectors with descendant and `>`
+   * combinators; rules with others, and at-rules, are ignored.
+   *
+   * @param {Object} root: The root element.
+   *
+   * @private
+   */
+  var __applyStyleSheets = function(root) {
+    var rules = [];
+    __getElementsByTagName(root, 'style').forEach(function(style) {
+      var type = (__attr(style, 'type') || 'text/css').trim();
+      if (type && type.toLowerCase() != 'text/css') return;
+      rules = rules.concat(__parseStyleSheet(__textContent(style)));
+    });
+    if (!rules.length) return;
+
+    rules.forEach((rule, order) => rule.order = order);
+    rules.sort(function(a, b) {
+      for (var i = 0; i < 3; i++) {
+        if (a.specificity[i] != b.specificity[i]) {
+          return a.specificity[i] - b.specificity[i];
+        }
+      }
+      return a.order - b.order;
+    });
+
+    [root].concat(__descendants(root)).forEach(function(element) {
+      var sheet = {normal: new Map(), important: new Map()};
+      rules.forEach(function(rule) {
+        if (!__matchesSelector(element, rule.selector)) return;
+        rule.declarations.forEach(function(declaration) {
+          sheet[declaration.important ? 'important' : 'normal']
+            .set(declaration.name, declaration.value);
+        });
+      });
+      if (sheet.normal.size || sheet.important.size) element.sheet = sheet;
+    });
+  };
+
+  /**
+   * Parse a CSS style sheet into rules with a single selector each.
+   *
+   * @param {String} css: The style sheet.
+   * @return {Array}: `{selector, specificity, declarations}` for each
+   *   supported selector, from `__parseSelector` and `__declarations`.
+   *
+   * @private
+   */
+  var __parseStyleSheet = function(css) {
+    var rules = [];
+    var i = 0;
+    css = css.replace(/\/\*[\s\S]*?(?:\*\/|$)/g, ' ');
+
+    // Skip past the block opened at `i`, and any blocks nested in it.
+    var skipBlock = function() {
+      for (var depth = 0; i < css.length; i++) {
+        if (css[i] == '{') depth++;
+        else if (css[i] == '}' && --depth == 0) return i++;
+      }
+    };
+
+    while (i < css.length) {
+      var open = css.indexOf('{', i);
+      if (open == -1) break;
+      var prelude = css.slice(i, open).trim();
+
+      // At-rules end at a `;` or a block.
+      if (prelude[0] == '@') {
+        var semicolon = css.indexOf(';', i);
+        if (semicolon != -1 && semicolon < open) {
+          i = semicolon + 1;
+        } else {
+          i = open;
+          skipBlock();
+        }
+        continue;
+      }
+
+      var close = css.indexOf('}', open);
+      if (close == -1) close = css.length;
+      var declarations = __declarations(css.slice(open + 1, close));
+      i = close + 1;
+
+      prelude.split(',').forEach(function(text) {
+        var selector = __parseSelector(text);
+        if (selector) rules.push({
+          selector: selector,
+          specificity: __specificity(selector),
+          declarations: declarations
+        });
+      });
+    }
+
+    return rules;
+  };
+
+  /**
+   * Parse a CSS selector into compound selectors, each with the combinator
+   * that relates it to the one before.
+   *
+   * @param {String} text: The selector.
+   * @return {Array|null}: `{combinator, type, ids, classes, attributes}`
+   *   for each compound selector, or null when it is not supported.
+   *
+   * @private
+   */
+  var __parseSelector = function(text) {
+    var tokens = text.trim().match(/\s*>\s*|\s+|(?:[^\s>\[]|\[[^\]]*\])+/g);
+    if (!tokens) return null;
+
+    var selector = [];
+    var combinator = null;
+    for (var i = 0; i < tokens.length; i++) {
+      if (!tokens[i].trim() || tokens[i].trim() == '>') {
+        if (!selector.length || combinator == '>') return null;
+        combinator = tokens[i].trim() || combinator || ' ';
+        continue;
+      }
+
+      var compound = {
+        combinator: combinator,
+        type: null,
+        ids: [],
+        classes: [],
+        attributes: []
+      };
+      for (var j = 0; j < tokens[i].length; j = SELECTOR_PART.lastIndex) {
+        SELECTOR_PART.lastIndex = j;
+        var match = SELECTOR_PART.exec(tokens[i]);
+        if (!match) return null;
+        if (match[0] == '*' || (match[2] && !match[1])) {
+          if (j > 0) return null;
+          compound.type = match[2] || null;
+        } else if (match[1] == '#') {
+          compound.ids.push(match[2]);
+        } else if (match[1] == '.') {
+          compound.classes.push(match[2]);
+        } else {
+          var value = [match[4], match[5], match[6]]
+            .find(value => value !== undefined);
+          compound.attributes.push({name: match[3], value: value});
+        }
+      }
+      selector.push(compound);
+      combinator = null;
+    }
+
+    return combinator ? null : selector;
+  };
+
+  /**
+   * The specificity of a selector.
+   *
+   * @param {Array} selector: The selector, from `__parseSelector`.
+   * @return {Array}: The counts of `#id` selectors, of class and attribute
+   *   selectors and of type selectors.
+   *
+   * @private
+   */
+  var __specificity = function(selector) {
+    return selector.reduce(function(counts, compound) {
+      return [
+        counts[0] + compound.ids.length,
+        counts[1] + compound.classes.length + compound.attributes.length,
+        counts[2] + (compound.type ? 1 : 0)
+      ];
+    }, [0, 0, 0]);
+  };
+
+  /**
+   * Whether an element is selected by a selector.
+   *
+   * @param {Object} element: The element.
+   * @param {Array} selector: The selector, from `__parseSelector`.
+   * @param {Number} last: (optional) The index of the compound selector the
+   *   element must match; the last by default.
+   * @return {Boolean}: True if selected.
+   *
+   * @private
+   */
+  var __matchesSelector = function(element, selector, last) {
+    if (last === undefined) last = selector.length - 1;
+    var compound = selector[last];
+
+    if (compound.type && compound.type != element.nodeName) return false;
+    var classes = (__attr(element, 'class') || '').split(/\s+/);
+    if (compound.ids.some(id => __attr(element, 'id') !== id) ||
+      compound.classes.some(name => classes.indexOf(name) == -1) ||
+      compound.attributes.some(attribute => !__hasAttr(element,
+        attribute.name) || (attribute.value !== undefined &&
+        element.attributes[attribute.name] !== attribute.value))) {
+      return false;
+    }
+    if (last == 0) return true;
+
+    for (var el = element.parentNode; el && el.nodeType == 1;
+      el = el.parentNode) {
+      if (__matchesSelector(el, selector, last - 1)) return true;
+      if (compound.combinator == '>') return false;
+    }
+    return false;
+  };
+
+  /**
+   * Read a presentation property from an element or its nearest ancestor
+   * that sets it, skipping `inherit`.
+   *
+   * @param {Object} element: The element.
+   * @param {String} name: The property name.
+   * @return {String|undefined}: The value, if set.
+   *
+   * @private
+   */
+  var __inheritedProperty = function(element, name) {
+    for (var el = element; el && el.nodeType == 1; el = el.parentNode) {
+      var value = __property(el, name);
+      if (value !== undefined && value.trim() != 'inherit') return value;
+    }
+  };
+
+  /**
+   * The stroke of an element, in its user units.
+   *
+   * @param {Object} element: The element.
+   * @return {Object|null}: `{width, linejoin, linecap, miterlimit}`, or
+   *   null when it is not stroked.
+   *
+   * @private
+   */
+  var __strokeStyle = function(element) {
+    var paint = (__inheritedProperty(element, 'stroke') || 'none').trim();
+    if (paint == 'none') return null;
+
+    // Percentages are of the viewport diagonal over the square root of 2.
+    var size = __userSpaceSize(__nearestViewport(element));
+    var width = __length(__inheritedProperty(element, 'stroke-width') || '1',
+      Math.sqrt((size.width * size.width + size.height * size.height) / 2),
+      __fontSize(element));
+    if (!(width > 0)) return null;
+
+    var read = name => (__inheritedProperty(element, name) || '').trim();
+    var miterlimit = parseFloat(read('stroke-miterlimit'));
+
+    return {
+      width: width,
+      linejoin: read('stroke-linejoin') || 'miter',
+      linecap: read('stroke-linecap') || 'butt',
+      miterlimit: miterlimit >= 1 ? miterlimit : 4
+    };
+  };
+
+  /**
+   * The element itself or its nearest ancestor with a tag name.
+   *
+   * @param {Object} element: The element.
+   * @param {String} name: The tag name.
+   * @return {Object|null}: The element, if any.
+   *
+   * @private
+   */
+  var __closest = function(element, name) {
+    for (var el = element; el && el.nodeType == 1; el = el.parentNode) {
+      if (el.nodeName == name) return el;
+    }
+    return null;
+  };
+
+  /**
+   * Whether an element is displayed: neither it nor an ancestor, up to a
+   * given one, has `display: none`, and for shapes and text, `visibility`
+   * is not `hidden` or `collapse`.
+   *
+   * @param {Object} element: The element.
+   * @param {Object} ancestor: (optional) The ancestor to stop at.
+   * @return {Boolean}: True if displayed.
+   *
+   * @private
+   */
+  var __isVisible = function(element, ancestor) {
+    var visibility;
+    for (var el = element; el && el !== ancestor && el.nodeType == 1;
+      el = el.parentNode) {
+      if ((__property(el, 'display') || '').trim() == 'none') return false;
+      var value = (__property(el, 'visibility') || 'inherit').trim();
+      if (!visibility && value != 'inherit') visibility = value;
+    }
+    return CONTAINERS.indexOf(element.nodeName) != -1 ||
+      (visibility != 'hidden' && visibility != 'collapse');
+  };
+
+  /**
+   * The `<clipPath>` an element's `clip-path` refers to.
+   *
+   * @param {Object} element: The element.
+   * @param {Map} ids: Elements by `id`.
+   * @return {Object|null|undefined}: The `<clipPath>`, null if the
+   *   reference is invalid, undefined without a `clip-path`.
+   *
+   * @private
+   */
+  var __clipPathOf = function(element, ids) {
+    var value = (__property(element, 'clip-path') || 'none').trim();
+    if (value == 'none') return undefined;
+    var url = /^url\(\s*(['"]?)#(.+?)\1\s*\)$/.exec(value);
+    var target = url && ids.get(url[2]) || null;
+    return target && target.nodeName == 'clipPath' ? target : null;
+  };
+
+  /**
+   * The region a `<clipPath>` cuts out of the element referring to it: the
+   * union of its visible shapes, drawn in the user space of the element.
+   *
+   * @param {Object} clipPath: The `<clipPath>` element.
+   * @param {Object} element: The clipped element.
+   * @param {Object} svg: The root `<svg>` element.
+   * @return {Array}: Polygons, from `__polygonsOf`.
+   *
+   * @private
+   */
+  var __clipRegion = function(clipPath, element, svg) {
+    var matrix = __multiply(__outputCTM(element, svg),
+      __parseTransform(__attr(clipPath, 'transform')));
+    var region = [];
+
+    __descendants(clipPath).forEach(function(child) {
+      if (SHAPES.indexOf(child.nodeName) == -1) return;
+      if (!__isVisible(child, clipPath)) return;
+      var wkt = __createWKT(child, svg,
+        __multiply(matrix, __getCTM(child, clipPath)));
+      var geometry = __readWKT(wkt);
+      if (geometry) region = region.concat(__polygonsOf(geometry));
+    });
+
+    return region;
+  };
+
+  /**
+   * The concatenated character data of a node and its descendants.
+   *
+   * @param {Object} node: The node.
+   * @return {String}: The text.
+   *
+   * @private
+   */
+  var __textContent = function(node) {
+    if (node.nodeType == 3) return node.nodeValue;
+    return node.childNodes.map(__textContent).join('');
+  };
+
+  /**
+   * The text of an element's first child with a given tag name, such as
+   * `<title>` or `<desc>`, with runs of whitespace collapsed.
+   *
+   * @param {Object} element: The element.
+   * @param {String} name: The tag name.
+   * @return {String|undefined}: The text, if there is such a child.
+   *
+   * @private
+   */
+  var __childText = function(element, name) {
+    var child = element.childNodes.find(node => node.nodeName == name);
+    return child && __textContent(child).replace(/\s+/g, ' ').trim();
+  };
+
+  /**
+   * The font size of an element in user units, resolving relative and
+   * absolute `font-size` values against its parent's.
+   *
+   * @param {Object} element: The element.
+   * @return {Number}: The font size.
+   *
+   * @private
+   */
+  var __fontSize = function(element) {
+    if (!element || element.nodeType != 1) return DEFAULT_FONT_SIZE;
+    var inherited = __fontSize(element.parentNode);
+    var size = __length(__property(element, 'font-size'), inherited,
+      inherited);
+    return isNaN(size) || size < 0 ? inherited : size;
+  };
+
+  /**
+   * Resolve a length attribute of a shape in user units. Percentages refer
+   * to the user space of the nearest `<svg>`: its width for horizontal
+   * lengths, its height for vertical ones and the normalized diagonal for
+   * the others, such as `r`.
+   *
+   * @param {Object} element: The element.
+   * @param {String} name: The attribute name.
+   * @param {Number} fallback: (optional) The value when absent or invalid.
+   * @return {Number}: The length.
+   *
+   * @private
+   */
+  var __lengthAttr = function(element, name, fallback) {
+    var size = __userSpaceSize(__nearestViewport(element));
+    var reference = /^(c?x\d?|width|rx)$/.test(name) ? size.width :
+      /^(c?y\d?|height|ry)$/.test(name) ? size.height :
+      Math.sqrt((size.width * size.width + size.height * size.height) / 2);
+    var length = __length(__attr(element, name), reference,
+      __fontSize(element));
+    return isNaN(length) && fallback !== undefined ? fallback : length;
+  };
+
+  /**
+   * Read a list of numbers separated by whitespace and/or a comma, such as
+   * `points` or `viewBox`. Like path data, the list is read up to the first
+   * error, so `"1-2 .5.5"` reads as `[1, -2, 0.5, 0.5]`.
+   *
+   * @param {String} value: The attribute value.
+   * @param {Function} onError: (optional) Called with a description of the
+   *   first error, if the list does not read to the end.
+   * @return {Array}: The numbers.
+   *
+   * @private
+   */
+  var __numbers = function(value, onError) {
+    var rest = (value || '').replace(/^\s*/, '');
+    var token = new RegExp('^(' + NUMBER.source + ')\\s*,?\\s*');
+    var numbers = [];
+    var match;
+
+    while (rest && (match = token.exec(rest))) {
+      numbers.push(parseFloat(match[1]));
+      rest = rest.slice(match[0].length);
+    }
+
+    if (rest && onError) {
+      onError(`Unexpected \`${rest[0]}\` after ${numbers.length} numbers.`);
+    }
+
+    return numbers;
+  };
+
+  /**
+   * The first number in a list-valued attribute such as `x` or `dx`.
+   *
+   * @param {String} value: The attribute value.
+   * @return {Number}: The number, or 0 when absent.
+   *
+   * @private
+   */
+  var __firstNumber = function(value) {
+    var match = NUMBER.exec(value || '');
+    return match ? parseFloat(match[0]) : 0;
+  };
+
+  /**
+   * Construct a WKT line from SVG start/end point coordinates.
+   *
+   * @param {Number} x1: Start X.
+   * @param {Number} y1: Start Y.
+   * @param {Number} x2: End X.
+   * @param {Number} y2: End Y.
+   * @param {Object} options: (optional) Settings for the call, as in
+   *   `parse`.
+   * @return {String}: Generated WKT.
+   *
+   * @public
+   */
+  SVGtoWKT.line = function(x1, y1, x2, y2, options) {
+    return __call(SVGtoWKT, options,
+      () => __ewkt(__line(x1, y1, x2, y2, IDENTITY)));
+  };
+
+  var __line = function(x1, y1, x2, y2, matrix) {
+    var pts = [{x: x1, y: y1}, {x: x2, y: y2}];
+    return __writeWKT({type: 'LINESTRING', points: __coords(pts, matrix)});
+  };
+
+  /**
+   * Construct a WKT linestrimg from SVG `points` attribute value.
+   *
+   * @param {String} points: <polyline> `points` attribute value.
+   * @param {Object} options: (optional) Settings for the call.
+   * @return {String}: Generated WKT.
+   *
+   * @public
+   */
+  SVGtoWKT.polyline = function(points, options) {
+    return __call(SVGtoWKT, options,
+      () => __ewkt(__polyline(points, IDENTITY)));
+  };
+
+  var __polyline = function(points, matrix) {
+    return __writeWKT({
+      type: 'LINESTRING',
+      points: __coords(__points(points), matrix)
+    });
+  };
+
+  /**
+   * Construct a WKT polygon from SVG `points` attribute value.
+   *
+   * @param {String} points: <polygon> `points` attribute value.
+   * @param {Object} options: (optional) Settings for the call.
+   * @return {String}: Generated WKT.
+   *
+   * @public
+   */
+  SVGtoWKT.polygon = function(points, options) {
+    return __call(SVGtoWKT, options,
+      () => __ewkt(__polygon(points, IDENTITY)));
+  };
+
+  var __polygon = function(points, matrix) {
+    var pts = __points(points);
+    if (!pts.length) return __writeWKT({type: 'POLYGON', parts: []});
+
+    // Close.
+    pts.push(pts[0]);
+
+    return __polygonWKT(__coords(pts, matrix));
+  };
+
+  /**
+   * Write a closed ring of WKT coordinates as a `POLYGON`.
+   *
+   * @param {Array} ring: The `[x, y]` coordinates.
+   * @return {String}: Generated WKT.
+   *
+   * @private
+   */
+  var __polygonWKT = function(ring) {
+    return __writeWKT({
+      type: 'POLYGON',
+      parts: [{type: 'LINESTRING', points: ring}]
+    });
+  };
+
+  /**
+   * Read a `points` attribute value into points.
+   *
+   * @param {String} points: <polygon> or <polyline> `points` value.
+   * @return {Array}: `{x, y}` points.
+   *
+   * @private
+   */
+  var __points = function(points) {
+
+    // "1,2 3,4 " => [{x: 1, y: 2}, {x: 3, y: 4}]
+    var numbers = __numbers(points);
+    var pts = [];
+
+    // A dangling odd coordinate is dropped.
+    for (var i = 0; i + 1 < numbers.length; i += 2) {
+      pts.push({x: numbers[i], y: numbers[i + 1]});
+    }
+
+    return pts;
+  };
+
+  /**
+   * Construct a WKT polygon from SVG rectangle origin and dimensions.
+   *
+   * @param {Number} x: Top left X.
+   * @param {Number} y: Top left Y.
+   * @param {Number} width: Rectangle width.
+   * @param {Number} height: Rectangle height.
+   * @param {Number} rx: (optional) Horizontal corner radius.
+   * @param {Number} ry: (optional) Vertical corner radius.
+   * @param {Object} options: (optional) Settings for the call.
+   * @return {String}: Generated WKT.
+   *
+   * @public
+   */
+  SVGtoWKT.rect = function(x, y, width, height, rx, ry, options) {
+    return __call(SVGtoWKT, options,
+      () => __ewkt(__rect(x, y, width, height, rx, ry, IDENTITY)));
+  };
+
+  var __rect = function(x, y, width, height, rx, ry, matrix) {
+
+    var pts = [];
+
+    // 0,0 origin by default.
+    if (isNaN(x)) x = 0;
+    if (isNaN(y)) y = 0;
+
+    // A missing or negative radius takes the other one; both are capped
+    // at half the side.
+    var valid = r => typeof r === 'number' && r >= 0;
+    if (!valid(rx)) rx = valid(ry) ? ry : 0;
+    if (!valid(ry)) ry = rx;
+    rx = Math.min(rx, width / 2);
+    ry = Math.min(ry, height / 2);
+
+    if (rx > 0 && ry > 0) {
+      return __roundedRect(x, y, width, height, rx, ry, matrix);
+    }
+
+    // No corner rounding.
+    pts.push({x: x, y: y});                  // top left
+    pts.push({x: x + width, y: y});          // top right
+    pts.push({x: x + width, y: y + height}); // bottom right
+    pts.push({x: x, y: y + height});         // bottom left
+    pts.push({x: x, y: y});                  // close
+
+    return __polygonWKT(__coords(pts, matrix));
+  };
+
+  /**
+   * Construct a rectangle with rounded corners as the equivalent path, so
+   * that corners are written the way `path` writes arcs: circular corners
+   * as a `CURVEPOLYGON` of `CIRCULARSTRING`s, elliptical ones interpolated
+   * into a `POLYGON`.
+   *
+   * @param {Number} x: Top left X.
+   * @param {Number} y: Top left Y.
+   * @param {Number} width: Rectangle width.
+   * @param {Number} height: Rectangle height.
+   * @param {Number} rx: Horizontal corner radius, in range.
+   * @param {Number} ry: Vertical corner radius, in range.
+   * @param {Array} matrix: The transform to apply.
+   * @return {String}: Generated WKT.
+   *
+   * @private
+   */
+  var __roundedRect = function(x, y, width, height, rx, ry, matrix) {
+    var right = x + width, bottom = y + height;
+    var commands = [{type: 'M', values: [x + rx, y]}];
+
+    // Clockwise, skipping edges that the corners use up.
+    var edge = function(ex, ey) {
+      var last = commands[commands.length - 1].values;
+      if (last[last.length - 2] != ex || last[last.length - 1] != ey) {
+        commands.push({type: 'L', values: [ex, ey]});
+      }
+    };
+    var corner = function(ex, ey) {
+      commands.push({type: 'A', values: [rx, ry, 0, 0, 1, ex, ey]});
+    };
+
+    edge(right - rx, y);
+    corner(right, y + ry);
+    edge(right, bottom - ry);
+    corner(right - rx, bottom);
+    edge(x + rx, bottom);
+    corner(x, bottom - ry);
+    edge(x, y + ry);
+    corner(x + rx, y);
+    commands.push({type: 'Z', values: []});
+
+    var parts = __curveParts(commands, matrix);
+
+    return __writeWKT(__isCircularArc([rx, ry, 0], matrix) ?
+      {type: 'CURVEPOLYGON', parts: [{type: 'COMPOUNDCURVE', parts: parts}]} :
+      {type: 'POLYGON', parts: parts});
+  };
+
+  /**
+   * Construct a WKT polygon for a circle from origin and radius: a
+   * `CURVEPOLYGON` when `CURVES` is on, otherwise a `POLYGON`.
+   *
+   * @param {Number} cx: Center X.
+   * @param {Number} cy: Center Y.
+   * @param {Number} r: Radius.
+   * @param {Object} options: (optional) Settings for the call.
+   * @return {String} wkt: Generated WKT.
+   *
+   * @public
+   */
+  SVGtoWKT.circle = function(cx, cy, r, options) {
+    return __call(SVGtoWKT, options,
+      () => __ewkt(__circle(cx, cy, r, IDENTITY)));
+  };
+
+  var __circle = function(cx, cy, r, matrix) {
+    return __ellipse(cx, cy, r, r, matrix);
+  };
+
+  /**
+   * Construct a WKT polygon for an ellipse from origin and radii, or a
+   * `CURVEPOLYGON` when `CURVES` is on and it is circular once transformed.
+   *
+   * @param {Number} cx: Center X.
+   * @param {Number} cy: Center Y.
+   * @param {Number} rx: Horizontal radius.
+   * @param {Number} ry: Vertical radius.
+   * @param {Object} options: (optional) Settings for the call.
+   * @return {String} wkt: Generated WKT.
+   *
+   * @public
+   */
+  SVGtoWKT.ellipse = function(cx, cy, rx, ry, options) {
+    return __call(SVGtoWKT, options,
+      () => __ewkt(__ellipse(cx, cy, rx, ry, IDENTITY)));
+  };
+
+  var __ellipse = function(cx, cy, rx, ry, matrix) {
+
+    // A zero radius disables rendering.
+    if (!rx || !ry) return __writeWKT({type: 'POLYGON', parts: []});
+
+    var pts = [];
+
+    // A circle in output coordinates is kept as a curve.
+    if (__isCircularArc([rx, ry, 0], matrix)) {
+      for (var i = 0; i < 5; i++) {
+        var angle = (90 * i) * (Math.PI / 180);
+        pts.push(__roundPoint(__output({
+          x: cx + rx * Math.cos(angle),
+          y: cy + ry * Math.sin(angle)
+        }, matrix)));
+      };
+
+      return __writeWKT({
+        type: 'CURVEPOLYGON',
+        parts: [{type: 'CIRCULARSTRING', points: pts.map(__coord)}]
+      });
+    }
+
+    // Approximate the circumference of the transformed ellipse, whose
+    // squared semi-axes sum to the squared norm of the scaled matrix.
+    var circumference = 2 * Math.PI * Math.sqrt((
+      Math.pow(matrix[0] * rx, 2) + Math.pow(matrix[1] * rx, 2) +
+      Math.pow(matrix[2] * ry, 2) + Math.pow(matrix[3] * ry, 2)
+    ) / 2);
+
+    if (__isAdaptive()) {
+      pts = __flatten(function(t) {
+        return __transformPoint(matrix, {
+          x: cx + rx * Math.cos(2 * Math.PI * t),
+          y: cy + ry * Math.sin(2 * Math.PI * t)
+        });
+      }).map(pt => __roundPoint(__project(pt)));
+      pts[pts.length - 1] = pts[0];
+      return __polygonWKT(pts.map(__coord));
+    }
+
+    // Compute number of points and angle between points; a ring needs 3.
+    var point_count = Math.max(3,
+      Math.round(circumference * __settings.DENSITY));
+    var interval_angle = 360 / point_count;
+
+    // Generate the ellipse.
+    for (var i = 0; i < point_count; i++) {
+      var angle = (interval_angle * i) * (Math.PI / 180);
+      pts.push(__roundPoint(__output({
+        x: cx + rx * Math.cos(angle),
+        y: cy + ry * Math.sin(angle)
+      }, matrix)));
+    };
+
+    // Close.
+    pts.push(pts[0]);
+
+    return __polygonWKT(pts.map(__coord));
+  };
+
+  /**
+   * Transform points into WKT coordinates.
+   *
+   * @param {Array} points: `{x, y}` points.
+   * @param {Array} matrix: The transform to apply.
+   * @return {Array}: `[x, y]` coordinates.
+   *
+   * @private
+   */
+  var __coords = function(points, matrix) {
+    return points.map(pt => __coord(__output(pt, matrix)));
+  };
+
+  /**
+   * Map a point from an element's user space to output coordinates.
+   *
+   * @param {Object} pt: The `{x, y}` point.
+   * @param {Array} matrix: The element's transform.
+   * @return {Object}: The output `{x, y}`.
+   *
+   * @private
+   */
+  var __output = function(pt, matrix) {
+    return __project(__transformPoint(matrix, pt));
+  };
+
+  /**
+   * Map a point from root user space to output coordinates: through
+   * `GEOREFERENCE` if set, otherwise reflected over the X-axis by `FLIP_Y`.
+   *
+   * @param {Object} pt: The `{x, y}` point.
+   * @return {Object}: The output `{x, y}`.
+   *
+   * @private
+   */
+  var __project = function(pt) {
+    var georeference = __settings.GEOREFERENCE;
+    if (georeference) return __transformPoint(georeference, pt);
+    return __settings.FLIP_Y ? {x: pt.x, y: -pt.y} : {x: pt.x, y: pt.y};
+  };
+
+  /**
+   * Map a point from output coordinates back to root user space, undoing
+   * `__project`.
+   *
+   * @param {Object} pt: The output `{x, y}` point.
+   * @return {Object}: The `{x, y}` point in user space.
+   *
+   * @private
+   */
+  var __unproject = function(pt) {
+    var georeference = __settings.GEOREFERENCE;
+    if (georeference) return __transformPoint(__invert(georeference), pt);
+    return __settings.FLIP_Y ? {x: pt.x, y: -pt.y} : {x: pt.x, y: pt.y};
+  };
+
+  /**
+   * An output point as WKT coordinates.
+   *
+   * @param {Object} pt: The `{x, y}` point.
+   * @return {Array}: The `[x, y]` coordinates.
+   *
+   * @private
+   */
+  var __coord = function(pt) {
+    return [pt.x, pt.y];
+  };
+
+  /**
+   * Prefix WKT with the `SRID`, if set.
+   *
+   * @param {String} wkt: The WKT.
+   * @return {String}: EWKT, or the WKT unchanged.
+   *
+   * @private
+   */
+  var __ewkt = function(wkt) {
+    var srid = __settings.SRID;
+    return srid == null ? wkt : 'SRID=' + srid + ';' + wkt;
+  };
+
+  /**
+   * Construct a WKT polygon from a SVG path string. Approach from:
+   * http://whaticode.com/2012/02/01/converting-svg-paths-to-polygons/
+   *
+   * @param {String} d: <path> `d` attribute value.
+   * @param {String} fillRule: (optional) `nonzero` (default) or `evenodd`.
+   * @param {Object} options: (optional) Settings for the call.
+   * @return {String}: Generated WKT.
+   *
+   * @public
+   */
+  SVGtoWKT.path = function(d, fillRule, options) {
+    return __call(SVGtoWKT, options,
+      () => __ewkt(__path(d, IDENTITY, fillRule)));
+  };
+
+  var __path = function(d, matrix, fillRule) {
+
+    // Split into subpaths, each starting with a `M`.
+    var subpaths = [];
+    for (const command of __parsePathData(d)) {
+      if (command.type == 'M' || !subpaths.length) {
+        subpaths.push([command]);
+      } else {
+        subpaths[subpaths.length - 1].push(command);
+      }
+    }
+
+    // Circular arcs are kept as curves; everything else is interpolated.
+    var isCurve = function(command) {
+      return command.type == 'A' && __isCircularArc(command.values, matrix);
+    };
+    var isCurved = function(commands) {
+      return commands.some(isCurve);
+    };
+
+    // Closed subpaths are rings of polygons, open ones are lines.
+    var closed = function(p) {
+      return p[p.length - 1].type == 'Z';
+    };
+    var polys = subpaths.filter(closed);
+    var open = subpaths.filter(p => !closed(p));
+
+    // Construct polygons from the rings of the closed subpaths.
+    var area = null;
+    if (polys.length) {
+
+      var polygons = __classifyRings(polys, matrix, fillRule).map(
+        function(polygon) {
+          var rings = polygon.map(function(ring) {
+            var parts = __curveParts(ring, matrix);
+            // A ring of several parts is joined into a compound curve.
+            if (isCurved(ring) &&
+              !(parts.length == 1 && parts[0].type == 'CIRCULARSTRING')) {
+              return {type: 'COMPOUNDCURVE', parts: parts};
+            }
+            return parts[0] || {type: 'LINESTRING', points: []};
+          });
+          return {
+            type: rings.some(ring => ring.type != 'LINESTRING') ?
+              'CURVEPOLYGON' : 'POLYGON',
+            parts: rings
+          };
+        }
+      );
+
+      var curved = polys.some(isCurved);
+
+      if (polygons.length == 0) {
+        area = {type: 'POLYGON', parts: []};
+      } else if (polygons.length == 1) {
+        area = polygons[0];
+        area.type = curved ? 'CURVEPOLYGON' : 'POLYGON';
+      } else {
+        // Plain polygons are untagged members of a `MULTISURFACE`.
+        area = {
+          type: curved ? 'MULTISURFACE' : 'MULTIPOLYGON',
+          parts: polygons
+        };
+      }
+    }
+
+    // Construct lines from the open subpaths: a `MULTICURVE` when there
+    // are several and any of them has arcs.
+    var curves = [].concat(...open.map(function(subpath) {
+      var parts = __curveParts(subpath, matrix);
+      return isCurved(subpath) ?
+        [{type: 'COMPOUNDCURVE', parts: parts}] : parts;
+    }));
+    var lines = curves.length > 1 ? {
+      type: open.some(isCurved) ? 'MULTICURVE' : 'MULTILINESTRING',
+      parts: curves
+    } : curves[0];
+
+    // A path with both is a collection of its area and its lines.
+    if (area && lines) {
+      return __writeWKT({type: 'GEOMETRYCOLLECTION', parts: [area, lines]});
+    }
+    return __writeWKT(area || lines || {type: 'LINESTRING', points: []});
+  };
+  /**
+   * Group the closed subpaths of a path into polygons under its fill rule.
+   * A ring bounds the filled area when the winding number just inside it
+   * and just outside it differ in being filled: with `evenodd` every ring
+   * does, with `nonzero` only rings that bring the winding number to or
+   * from zero. Rings that enter the fill are shells, the others are holes
+   * of the nearest shell around them. Rings are reversed as needed so that
+   * shells run counterclockwise and holes clockwise in output coordinates,
+   * per the OGC Simple Features specification.
+   *
+   * @param {Array} rings: Closed subpaths, commands from `M` to `Z`.
+   * @param {Array} matrix: The transform to apply.
+   * @param {String} fillRule: (optional) `nonzero` (default) or `evenodd`.
+   * @return {Array}: Polygons, each an array of rings, shell first.
+   *
+   * @private
+   */
+  var __classifyRings = function(rings, matrix, fillRule) {
+    var evenOdd = (fillRule || '').trim() == 'evenodd';
+    var filled = w => evenOdd ? w % 2 != 0 : w != 0;
+
+    var info = rings.map(function(commands) {
+      var outline = __ringOutline(commands, matrix);
+      return {commands, outline, area: __signedArea(outline)};
+    }).filter(ring => Math.abs(ring.area) > 1e-12);
+
+    // Rings around each ring, smallest first.
+    info.forEach(function(ring) {
+      ring.parents = info.filter(function(other) {
+        return other !== ring &&
+          Math.abs(other.area) > Math.abs(ring.area) &&
+          __ringInside(ring.outline, other.outline);
+      }).sort((a, b) => Math.abs(a.area) - Math.abs(b.area));
+
+      var direction = r => evenOdd ? 1 : Math.sign(r.area);
+      var outside = ring.parents.reduce((w, r) => w + direction(r), 0);
+      var inside = outside + direction(ring);
+      ring.shell = filled(inside) && !filled(outside);
+      ring.hole = !filled(inside) && filled(outside);
+    });
+
+    var polygons = [];
+    info.filter(ring => ring.shell).forEach(function(ring) {
+      ring.polygon = [__orientRing(ring, true)];
+      polygons.push(ring.polygon);
+    });
+    info.filter(ring => ring.hole).forEach(function(ring) {
+      var shell = ring.parents.find(parent => parent.shell);
+      if (shell) shell.polygon.push(__orientRing(ring, false));
+    });
+
+    return polygons;
+  };
+
+  /**
+   * Sample a closed subpath into a polygon in output coordinates, for
+   * containment and orientation tests.
+   *
+   * @param {Array} commands: The subpath, from `M` to `Z`.
+   * @param {Array} matrix: The transform to apply.
+   * @return {Array}: `{x, y}` points, without repeating the first.
+   *
+   * @private
+   */
+  var __ringOutline = function(commands, matrix) {
+    var pts = [];
+    var last = {x: 0, y: 0};
+
+    for (const step of commands) {
+      if (step.type == 'Z') break;
+      if (step.type == 'M' || step.type == 'L') {
+        pts.push(__output(__ptFromValues(step.values), matrix));
+      } else {
+        var segment = __segment(last, step, matrix);
+        for (var i = 1; i <= 16; i++) {
+          pts.push(__project(segment.point(i / 16)));
+        }
+      }
+      last = __ptFromValues(step.values);
+    }
+
+    return pts;
+  };
+
+  /**
+   * The signed area of a polygon, positive when counterclockwise.
+   *
+   * @param {Array} pts: `{x, y}` points.
+   * @return {Number}: The area.
+   *
+   * @private
+   */
+  var __signedArea = function(pts) {
+    var area = 0;
+    for (var i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      area += pts[j].x * pts[i].y - pts[i].x * pts[j].y;
+    }
+    return area / 2;
+  };
+
+  /**
+   * Whether a ring lies inside another, by the majority of its points, so
+   * that rings touching at a vertex are still told apart.
+   *
+   * @param {Array} ring: `{x, y}` points of the inner ring.
+   * @param {Array} other: `{x, y}` points of the outer ring.
+   * @return {Boolean}: True when inside.
+   *
+   * @private
+   */
+  var __ringInside = function(ring, other) {
+    var count = ring.filter(pt => __pointInRing(pt, other)).length;
+    return count * 2 > ring.length;
+  };
+
+  /**
+   * Point in polygon test by ray casting.
+   *
+   * @param {Object} pt: The `{x, y}` point.
+   * @param {Array} ring: `{x, y}` points of the polygon.
+   * @return {Boolean}: True when inside.
+   *
+   * @private
+   */
+  var __pointInRing = function(pt, ring) {
+    var inside = false;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      var a = ring[i], b = ring[j];
+      if ((a.y > pt.y) != (b.y > pt.y) &&
+        pt.x < a.x + (pt.y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  };
+
+  /**
+   * The commands of a classified ring, reversed if needed so that it runs
+   * counterclockwise for a shell or clockwise for a hole.
+   *
+   * @param {Object} ring: `{commands, area}`, from `__classifyRings`.
+   * @param {Boolean} shell: True for a shell.
+   * @return {Array}: The commands.
+   *
+   * @private
+   */
+  var __orientRing = function(ring, shell) {
+    return (ring.area > 0) == shell ?
+      ring.commands : __reverseRing(ring.commands);
+  };
+
+  /**
+   * Reverse the direction of a closed subpath, keeping its start point.
+   *
+   * @param {Array} commands: The subpath, from `M` to `Z`.
+   * @return {Array}: The reversed subpath.
+   *
+   * @private
+   */
+  var __reverseRing = function(commands) {
+    var first = __ptFromValues(commands[0].values);
+    var segments = commands.slice(1).filter(step => step.type != 'Z');
+
+    // The start point of each segment.
+    var starts = [];
+    var last = first;
+    segments.forEach(function(step) {
+      starts.push(last);
+      last = __ptFromValues(step.values);
+    });
+
+    // The closing line, if any, comes first.
+    var reversed = [{type: 'M', values: [first.x, first.y]}];
+    if (last.x != first.x || last.y != first.y) {
+      reversed.push({type: 'L', values: [last.x, last.y]});
+    }
+
+    for (var i = segments.length - 1; i >= 0; i--) {
+      var v = segments[i].values;
+      var end = [starts[i].x, starts[i].y];
+      var type = segments[i].type;
+      switch (type) {
+        case 'C':
+          // Control points swap.
+          v = [v[2], v[3], v[0], v[1]];
+          break;
+        case 'Q':
+          v = [v[0], v[1]];
+          break;
+        case 'A':
+          // The sweep flag flips.
+          v = [v[0], v[1], v[2], v[3], 1 - v[4]];
+          break;
+        default:
+          type = 'L';
+          v = [];
+      }
+      reversed.push({type: type, values: v.concat(end)});
+    }
+
+    reversed.push({type: 'Z', values: []});
+    return reversed;
+  };
+
+  /**
+   * Parse a SVG path string into absolute commands, in the normalized form
+   * of `SVGPathElement.getPathData({normalize: true})` extended with arcs:
+   * `M`, `L`, `C`, `Q`, `A` and `Z`. Parsing stops at the first error, the
+   * way user agents render a path up to the point of the error.
+   *
+   * @param {String} d: <path> `d` attribute value.
+   * @param {Function} onError: (optional) Called with a description of the
+   * error, if any.
+   * @return {Array}: `{type, values}` commands.
+   *
+   * @private
+   */
+  var __parsePathData = function(d, onError) {
+    var arity = {M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0};
+    var commands = [];
+    var i = 0;
+
+    d = d || '';
+    var fail = function(reason) {
+      var at = i < d.length ? `character ${i + 1}` : 'the end';
+      if (onError) onError(`${reason} at ${at} of the path data.`);
+      return commands;
+    };
+
+    var skip = function() {
+      while (i < d.length && /[\s,]/.test(d[i])) i++;
+    };
+
+    var number = function() {
+      skip();
+      var match = NUMBER.exec(d.slice(i));
+      if (!match || match.index !== 0) return null;
+      i += match[0].length;
+      return parseFloat(match[0]);
+    };
+
+    var flag = function() {
+      skip();
+      if (d[i] !== '0' && d[i] !== '1') return null;
+      return Number(d[i++]);
+    };
+
+    // Current point, subpath start and last control point.
+    var x = 0, y = 0, x0 = 0, y0 = 0, cx = null, cy = null, prev = null;
+
+    skip();
+    while (i < d.length) {
+      var letter = d[i];
+      var type = letter.toUpperCase();
+      if (!arity.hasOwnProperty(type)) {
+        return fail(`Unexpected \`${letter}\``);
+      }
+      if (!commands.length && type != 'M') {
+        return fail('Path data must start with a moveto');
+      }
+      i++;
+
+      var relative = letter != type;
+
+      // Arguments repeat until the next command letter.
+      do {
+        var args = [];
+        for (var n = 0; n < arity[type]; n++) {
+          var value = type == 'A' && (n == 3 || n == 4) ? flag() : number();
+          if (value === null) break;
+          args.push(value);
+        }
+        if (args.length < arity[type]) {
+          return fail(`Missing arguments for \`${letter}\``);
+        }
+
+        var dx = relative ? x : 0, dy = relative ? y : 0;
+        var reflect = (prev == 'C' && type == 'S') ||
+          (prev == 'Q' && type == 'T');
+        var qx = reflect ? 2 * x - cx : x, qy = reflect ? 2 * y - cy : y;
+        var command;
+
+        switch (type) {
+          case 'M':
+            command = {type: 'M', values: [args[0] + dx, args[1] + dy]};
+            x0 = command.values[0]; y0 = command.values[1];
+            break;
+          case 'L':
+          case 'T':
+            command = type == 'L' ?
+              {type: 'L', values: [args[0] + dx, args[1] + dy]} :
+              {type: 'Q', values: [qx, qy, args[0] + dx, args[1] + dy]};
+            break;
+          case 'H':
+            command = {type: 'L', values: [args[0] + dx, y]};
+            break;
+          case 'V':
+            command = {type: 'L', values: [x, args[0] + dy]};
+            break;
+          case 'C':
+            command = {type: 'C', values: [
+              args[0] + dx, args[1] + dy, args[2] + dx, args[3] + dy,
+              args[4] + dx, args[5] + dy
+            ]};
+            break;
+          case 'S':
+            command = {type: 'C', values: [
+              qx, qy, args[0] + dx, args[1] + dy, args[2] + dx, args[3] + dy
+            ]};
+            break;
+          case 'Q':
+            command = {type: 'Q', values: [
+              args[0] + dx, args[1] + dy, args[2] + dx, args[3] + dy
+            ]};
+            break;
+          case 'A':
+            command = {type: 'A', values: args.slice(0, 5).concat([
+              args[5] + dx, args[6] + dy
+            ])};
+            break;
+          case 'Z':
+            command = {type: 'Z', values: []};
+            break;
+        }
+
+        commands.push(command);
+
+        // Track the pen and the control point for `S`/`T` reflection.
+        var v = command.values;
+        if (type == 'Z') {
+          x = x0; y = y0;
+        } else {
+          x = v[v.length - 2]; y = v[v.length - 1];
+        }
+        cx = v[v.length - 4]; cy = v[v.length - 3];
+        prev = command.type == 'C' || command.type == 'Q' ? command.type : null;
+
+        // Coordinate pairs after a moveto are implicit linetos.
+        if (type == 'M') type = 'L';
+        skip();
+      } while (arity[type] && i < d.length && !/[a-z]/i.test(d[i]));
+
+      // A command after `Z` without a moveto starts at the subpath start.
+      skip();
+      if (type == 'Z' && i < d.length && !/[Mm]/.test(d[i])) {
+        commands.push({type: 'M', values: [x0, y0]});
+      }
+    }
+
+    return commands;
+  };
+
+  /**
+   * Build a length-parameterized view of a single curve segment.
+   *
+   * @param {Object} start: The `{x, y}` current point.
+   * @param {Object} step: A `C`, `Q`, `A` or `L` command.
+   * @param {Array} matrix: The transform to apply to the curve.
+   * @return {Object}: `{length, pointAt(distance), point(t)}`, in
+   *   transformed space.
+   *
+   * @private
+   */
+  var __segment = function(start, step, matrix) {
+    var v = step.values;
+    var point;
+
+    switch (step.type) {
+      case 'C':
+        point = function(t) {
+          var mt = 1 - t;
+          var a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t;
+          var e = t * t * t;
+          return {
+            x: a * start.x + b * v[0] + c * v[2] + e * v[4],
+            y: a * start.y + b * v[1] + c * v[3] + e * v[5]
+          };
+        };
+        break;
+      case 'Q':
+        point = function(t) {
+          var mt = 1 - t;
+          return {
+            x: mt * mt * start.x + 2 * mt * t * v[0] + t * t * v[2],
+            y: mt * mt * start.y + 2 * mt * t * v[1] + t * t * v[3]
+          };
+        };
+        break;
+      case 'A':
+        var arc = __arcCenter(start, v);
+        if (arc) {
+          point = function(t) {
+            return __arcPoint(arc, arc.theta + t * arc.delta);
+          };
+          break;
+        }
+      // Degenerate arcs are straight lines.
+      default:
+        var end = {x: v[v.length - 2], y: v[v.length - 1]};
+        point = function(t) {
+          return {
+            x: start.x + (end.x - start.x) * t,
+            y: start.y + (end.y - start.y) * t
+          };
+        };
+    }
+
+    var local = point;
+    point = function(t) {
+      return __transformPoint(matrix, local(t));
+    };
+
+    // Flatten finely and accumulate chord lengths.
+    var steps = 128;
+    var lengths = [0];
+    var last = point(0);
+    for (var i = 1; i <= steps; i++) {
+      var next = point(i / steps);
+      lengths.push(lengths[i - 1] + Math.hypot(next.x - last.x, next.y - last.y));
+      last = next;
+    }
+
+    var length = lengths[steps];
+
+    return {
+      length: length,
+      point: point,
+      pointAt: function(distance) {
+        if (length == 0 || distance <= 0) return point(0);
+        if (distance >= length) return point(1);
+        var lo = 0, hi = steps;
+        while (hi - lo > 1) {
+          var mid = (lo + hi) >> 1;
+          if (lengths[mid] < distance) lo = mid; else hi = mid;
+        }
+        var span = lengths[hi] - lengths[lo];
+        var f = span ? (distance - lengths[lo]) / span : 0;
+        return point((lo + f) / steps);
+      }
+    };
+  };
+
+  /**
+   * Convert an endpoint-parameterized elliptical arc to center form
+   * (SVG implementation notes, F.6.5), scaling radii up when too small.
+   *
+   * @param {Object} start: The `{x, y}` current point.
+   * @param {Array} v: `A` command values.
+   * @return {Object|null}: `{cx, cy, rx, ry, phi, theta, delta}`, or null
+   * when the arc degenerates into a line or nothing.
+   *
+   * @private
+   */
+  var __arcCenter = function(start, v) {
+    var rx = Math.abs(v[0]), ry = Math.abs(v[1]);
+    var phi = v[2] * Math.PI / 180;
+    var x2 = v[5], y2 = v[6];
+
+    if (rx == 0 || ry == 0) return null;
+    if (start.x == x2 && start.y == y2) return null;
+
+    var cos = Math.cos(phi), sin = Math.sin(phi);
+    var hx = (start.x - x2) / 2, hy = (start.y - y2) / 2;
+    var x1p = cos * hx + sin * hy;
+    var y1p = -sin * hx + cos * hy;
+
+    // Correct out-of-range radii.
+    var lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    var num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    var den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    var coef = Math.sqrt(Math.max(0, num / den));
+    if (v[3] == v[4]) coef = -coef;
+
+    var cxp = coef * rx * y1p / ry;
+    var cyp = -coef * ry * x1p / rx;
+
+    var angle = function(ux, uy, vx, vy) {
+      return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    };
+
+    var ux = (x1p - cxp) / rx, uy = (y1p - cyp) / ry;
+    var theta = angle(1, 0, ux, uy);
+    var delta = angle(ux, uy, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+    if (!v[4] && delta > 0) delta -= 2 * Math.PI;
+    if (v[4] && delta < 0) delta += 2 * Math.PI;
+
+    return {
+      cx: cos * cxp - sin * cyp + (start.x + x2) / 2,
+      cy: sin * cxp + cos * cyp + (start.y + y2) / 2,
+      rx: rx, ry: ry, phi: phi, theta: theta, delta: delta
+    };
+  };
+
+  /**
+   * A point on a center-form arc at a given angle.
+   *
+   * @param {Object} arc: Center-form arc, from `__arcCenter`.
+   * @param {Number} angle: The ellipse parameter, in radians.
+   * @return {Object}: The `{x, y}` point.
+   *
+   * @private
+   */
+  var __arcPoint = function(arc, angle) {
+    var cos = Math.cos(arc.phi), sin = Math.sin(arc.phi);
+    var x = arc.rx * Math.cos(angle), y = arc.ry * Math.sin(angle);
+    return {
+      x: arc.cx + cos * x - sin * y,
+      y: arc.cy + sin * x + cos * y
+    };
+  };
+
+  /**
+   * Convert a subpath into the parts of a curve: circular arcs as
+   * `CIRCULARSTRING`s, and everything between them as `LINESTRING`s.
+   *
+   * @param {Array} curves: The commands of the subpath.
+   * @param {Array} matrix: The transform to apply.
+   * @return {Array}: The parts, with at least two points per line.
+   *
+   * @private
+   */
+  var __curveParts = function(curves, matrix) {
+    var linePts = [];
+    var geometries = [];
+    var firstPt = null;
+    var lastPt = {x: 0, y: 0};
+
+    for (const step of curves) {
+      switch (step.type) {
+        case 'M':
+          // Move pen
+          break;
+        case 'L':
+          if (linePts.length == 0) {
+            linePts.push(__output(lastPt, matrix));
+          }
+          linePts.push(__output(__ptFromValues(step.values), matrix));
+          break;
+        case 'Z':
+          // Close by returning to start
+          if (firstPt && lastPt && !(firstPt.x == lastPt.x && firstPt.y == lastPt.y)) {
+            if (linePts.length == 0) {
+              linePts.push(__output(lastPt, matrix));
+            }
+            linePts.push(__output(firstPt, matrix));
+          }
+          continue;
+        case 'A':
+        default:
+          const arc = step.type === 'A' && __arcCenter(lastPt, step.values);
+
+          const circular = arc && __isCircularArc(step.values, matrix);
+
+          if (circular) {
+            if (linePts.length > 0) {
+              geometries.push(__lineString(linePts));
+              linePts = [];
+            }
+            // Circular arc case
+            const midPoint = __arcPoint(arc, arc.theta + arc.delta / 2);
+            const endPoint = __ptFromValues(step.values);
+            geometries.push(__circularString(
+              __output(lastPt, matrix),
+              __output(midPoint, matrix),
+              __output(endPoint, matrix)
+            ));
+          } else {
+            // All other cases, e.g. bezier, quadratic curves
+            const shapePts = __interpolatedPoints(
+              __segment(lastPt, step, matrix)
+            );
+            // The first point repeats the current point.
+            linePts = linePts.concat(
+              linePts.length ? shapePts.slice(1) : shapePts
+            );
+          }
+          break;
+      }
+
+      if (step.values.length >= 2) {
+        lastPt = __ptFromValues(step.values);
+      }
+
+      if (!firstPt) {
+        firstPt = lastPt
+      }
+    }
+
+    // At least two points per line
+    if (linePts.length > 1) {
+      geometries.push(__lineString(linePts));
+    }
+
+    return geometries;
+  }
+
+  var __ptFromValues = function(values) {
+    return {x: values[values.length - 2], y: values[values.length - 1]};
+  }
+
+  var __lineString = function(points) {
+    return {type: 'LINESTRING', points: points.map(__coord)};
+  }
+
+  var __circularString = function(startPt, midPt, endPt) {
+    return {
+      type: 'CIRCULARSTRING',
+      points: [startPt, midPt, endPt].map(__coord)
+    };
+  }
+
+ /**
+   * Sample points at even distances along a curve segment, or adaptively
+   * when a `TOLERANCE` or `MAX_SEGMENT` is set.
+   *
+   * @param {Object} segment: A segment, from `__segment`.
+   * @return array: An array of { x, y } coords.
+   *
+   * @private
+   */
+  var __interpolatedPoints = function(segment) {
+    var pts = [];
+
+    if (__isAdaptive()) {
+      return __flatten(segment.point).map(pt => __roundPoint(__project(pt)));
+    }
+
+    // Get number of points.
+    var length = segment.length;
+    var count = Math.max(1, Math.round(length * __settings.DENSITY));
+
+    // Interpolate points.
+    for (var i = 0; i <= count; i++) {
+      var point = segment.pointAt((length * i) / count);
+      pts.push(__roundPoint(__project(point)));
+    };
+
+    return pts;
+  }
+
+  /**
+   * Whether curves are flattened adaptively rather than at `DENSITY`.
+   *
+   * @return {Boolean}: True when `TOLERANCE` or `MAX_SEGMENT` is set.
+   *
+   * @private
+   */
+  var __isAdaptive = function() {
+    return __settings.TOLERANCE > 0 || __settings.MAX_SEGMENT > 0;
+  };
+
+  /**
+   * Flatten a parametric curve into chords by recursive subdivision, until
+   * each chord is within `TOLERANCE` of the curve and no longer than
+   * `MAX_SEGMENT`. The deviation is measured at the quarter points of each
+   * span, so that inflections centered on a chord are not missed.
+   *
+   * @param {Function} point: The `{x, y}` point at `t` in [0, 1].
+   * @return {Array}: `{x, y}` points, from `t = 0` to `t = 1`.
+   *
+   * @private
+   */
+  var __flatten = function(point) {
+    var tolerance = __settings.TOLERANCE > 0 ? __settings.TOLERANCE : Infinity;
+    var maxLength =
+      __settings.MAX_SEGMENT > 0 ? __settings.MAX_SEGMENT : Infinity;
+    var pts = [point(0)];
+
+    var subdivide = function(t0, p0, t1, p1, depth) {
+      var deviation = 0;
+      for (var i = 1; i < 4; i++) {
+        deviation = Math.max(deviation,
+          __segmentDistance(point(t0 + (t1 - t0) * i / 4), p0, p1));
+      }
+
+      var chord = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+      if (depth < FLATTEN_DEPTH &&
+        (deviation > tolerance || chord > maxLength)) {
+        var tm = (t0 + t1) / 2, pm = point(tm);
+        subdivide(t0, p0, tm, pm, depth + 1);
+        subdivide(tm, pm, t1, p1, depth + 1);
+      } else {
+        pts.push(p1);
+      }
+    };
+
+    subdivide(0, pts[0], 1, point(1), 0);
+    return pts;
+  };
+
+  /**
+   * The distance from a point to a line segment.
+   *
+   * @param {Object} pt: The `{x, y}` point.
+   * @param {Object} a: The `{x, y}` start of the segment.
+   * @param {Object} b: The `{x, y}` end of the segment.
+   * @return {Number}: The distance.
+   *
+   * @private
+   */
+  var __segmentDistance = function(pt, a, b) {
+    var dx = b.x - a.x, dy = b.y - a.y;
+    var squared = dx * dx + dy * dy;
+    var t = squared ? ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / squared : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(pt.x - a.x - t * dx, pt.y - a.y - t * dy);
+  };
+
+  /**
+   * Read WKT into a tree of plain objects, to compare or edit geometries
+   * by structure rather than as strings: `{type, points}` nodes for
+   * `POINT`, `LINESTRING` and `CIRCULARSTRING`, with `[x, y]` points, and
+   * `{type, parts}` nodes for the collection types.
+   *
+   * @param {String} wkt: WKT or EWKT.
+   * @return {Object|null}: The geometry, with the `srid` of EWKT and the
+   *   `dimensions` of `Z` and `M` types; null for a bare `EMPTY`.
+   *
+   * @public
+   */
+  SVGtoWKT.readWKT = function(wkt) {
+    return __readWKT(wkt);
+  };
+
+  /**
+   * Write a geometry tree, as from `readWKT`, as canonical WKT.
+   *
+   * @param {Object} geometry: The geometry, or null for a bare `EMPTY`.
+   * @param {Object} options: (optional) `spaced`, `dimensions` and
+   *   `dropEmpty`, as for `__writeWKT`, and settings for the call, as in
+   *   `parse`.
+   * @return {String}: The WKT, as EWKT when the geometry has a `srid`.
+   *
+   * @public
+   */
+  SVGtoWKT.writeWKT = function(geometry, options) {
+    options = options || {};
+    if (!geometry) return 'EMPTY';
+    var wkt = __call(SVGtoWKT, options, () => __writeWKT(geometry, options));
+    return geometry.srid == null ? wkt : 'SRID=' + geometry.srid + ';' + wkt;
+  };
+
+  /**
+   * Child types implied by untagged members of WKT collections.
+   *
+   * @private
+   */
+  var WKT_MEMBERS = {
+    POLYGON: 'LINESTRING',
+    CURVEPOLYGON: 'LINESTRING',
+    COMPOUNDCURVE: 'LINESTRING',
+    MULTIPOINT: 'POINT',
+    MULTILINESTRING: 'LINESTRING',
+    MULTICURVE: 'LINESTRING',
+    MULTIPOLYGON: 'POLYGON',
+    MULTISURFACE: 'POLYGON',
+    GEOMETRYCOLLECTION: null
+  };
+
+  /**
+   * Coordinate layouts of WKT points.
+   *
+   * @private
+   */
+  var DIMENSIONS = ['XY', 'XYZ', 'XYM', 'XYZM'];
+
+  /**
+   * Read WKT as generated by this library into a tree of `{type, points}`
+   * (`POINT`, `LINESTRING`, `CIRCULARSTRING`) and `{type, parts}` (all
+   * collection types) nodes, with `[x, y]` points. An EWKT `SRID=...;`
+   * prefix is read into the `srid` of the root. Types tagged `Z`, `M` or
+   * `ZM`, apart or appended as in `POINTM`, have points of that many
+   * ordinates and a `dimensions` of `XYZ`, `XYM` or `XYZM`.
+   *
+   * @param {String} wkt: The WKT.
+   * @return {Object|null}: The geometry, or null for a bare `EMPTY`.
+   *
+   * @private
+   */
+  var __readWKT = function(wkt) {
+    var srid = /^\s*SRID=(\d+)\s*;/i.exec(wkt);
+    if (srid) wkt = wkt.slice(srid[0].length);
+
+    var number = NUMBER.source + '|[+-]?Infinity|NaN';
+    var tokens = String(wkt).match(
+      new RegExp(number + '|[A-Za-z]+|[(),]|\\S', 'g')
+    ) || [];
+    var i = 0;
+
+    var fail = function() {
+      throw new Error('Invalid WKT.');
+    };
+
+    var expect = function(token) {
+      if (tokens[i] !== token) fail();
+      i++;
+    };
+
+    var isNumber = function(token) {
+      return new RegExp('^(?:' + number + ')$').test(token || '');
+    };
+
+    var readPoint = function(layout) {
+      var point = [];
+      while (isNumber(tokens[i])) point.push(parseFloat(tokens[i++]));
+      if (point.length < 2) fail();
+      if (layout && point.length != layout.length) fail();
+      return point;
+    };
+
+    var types = Object.keys(WKT_MEMBERS)
+      .concat(['POINT', 'LINESTRING', 'CIRCULARSTRING']);
+
+    var readGeometry = function(implied, layout) {
+      var type = implied;
+      var dimensions = null;
+      if (/^[A-Za-z]+$/.test(tokens[i] || '') && tokens[i] != 'EMPTY') {
+        type = tokens[i++].toUpperCase();
+
+        var suffix = /^([A-Z]+?)(ZM|Z|M)$/.exec(type);
+        if (suffix && types.indexOf(suffix[1]) != -1) {
+          type = suffix[1];
+          dimensions = 'XY' + suffix[2];
+        } else if (/^(?:ZM|Z|M)$/i.test(tokens[i] || '')) {
+          dimensions = 'XY' + tokens[i++].toUpperCase();
+        }
+      }
+      if (!type) fail();
+      if (dimensions && layout && dimensions != layout) fail();
+      layout = dimensions || layout;
+
+      var points = !WKT_MEMBERS.hasOwnProperty(type);
+      var geometry = points ? {type: type, points: []} :
+        {type: type, parts: []};
+      if (dimensions) geometry.dimensions = dimensions;
+
+      if (tokens[i] == 'EMPTY') {
+        i++;
+        return geometry;
+      }
+
+      expect('(');
+      do {
+        if (points) {
+          geometry.points.push(readPoint(layout));
+        } else if (type == 'MULTIPOINT' && isNumber(tokens[i])) {
+          geometry.parts.push({type: 'POINT', points: [readPoint(layout)]});
+        } else {
+          geometry.parts.push(readGeometry(WKT_MEMBERS[type], layout));
+        }
+      } while (tokens[i] == ',' && ++i);
+      expect(')');
+
+      return geometry;
+    };
+
+    // A bare `EMPTY` stands for an element without geometry.
+    if (tokens.length == 1 && tokens[0] == 'EMPTY') return null;
+
+    var geometry = readGeometry(null, null);
+    if (i < tokens.length) fail();
+    if (srid) geometry.srid = parseInt(srid[1], 10);
+
+    return geometry;
+  };
+
+  /**
+   * Convert WKT generated by this library into a GeoJSON geometry. Curves
+   * (`CIRCULARSTRING`, `COMPOUNDCURVE`, `CURVEPOLYGON`, `MULTICURVE`,
+   * `MULTISURFACE`) are interpolated at `DENSITY`, since GeoJSON has no
+   * arcs.
+   *
+   * @param {String} wkt: WKT, e.g. from `convert` or `polygon`.
+   * @param {Object} options: (optional) Settings for the call.
+   * @return {Object|null}: The GeoJSON geometry, null for a bare `EMPTY`.
+   *
+   * @public
+   */
+  SVGtoWKT.toGeoJSON = function(wkt, options) {
+    var geometry = __readWKT(wkt);
+    return geometry &&
+      __call(SVGtoWKT, options, () => __geoJSONGeometry(geometry));
+  };
+
+  /**
+   * SVG => GeoJSON.
+   *
+   * @param {String} svg: SVG markup.
+   * @param {Object} options: (optional) `parse` options.
+   * @return {Object}: A FeatureCollection with a Feature for each element
+   * with an `id` (properties `id` and `title`) and for each `<text>`
+   * element (properties `text`, `fontSize`, `fontFamily` and `rotation`),
+   * plus the recorded `properties` of the element.
+   *
+   * @public
+   */
+  SVGtoWKT.geojson = function(svg, options) {
+    options = options || {};
+    return __call(SVGtoWKT, options, () => __geojson(svg, options));
+  };
+
+  /**
+   * SVG => GeoJSON, with the settings of the call in place.
+   *
+   * @param {String} svg: SVG markup.
+   * @param {Object} options: `parse` options.
+   * @return {Object}: The FeatureCollection.
+   *
+   * @private
+   */
+  var __geojson = function(svg, options) {
+
+    var result = SVGtoWKT.parse(svg, options);
+
+    var features = result.spaces.map(function(space) {
+      return __feature(space, Object.assign({}, space.properties, {
+        id: space.id,
+        title: space.title
+      }));
+    });
+
+    result.strings.forEach(function(label) {
+      features.push(__feature(label, Object.assign({}, label.properties, {
+        text: label.text,
+        fontSize: label.fontSize,
+        fontFamily: label.fontFamily,
+        rotation: label.rotation
+      })));
+    });
+
+    return {type: 'FeatureCollection', features: features};
+  };
+
+  /**
+   * Build a GeoJSON Feature for a `parse` record.
+   *
+   * @param {Geometry} record: The record.
+   * @param {Object} properties: The feature properties.
+   * @return {Object}: The Feature.
+   *
+   * @private
+   */
+  var __feature = function(record, properties) {
+    var feature = {type: 'Feature'};
+    if (record.id !== undefined) feature.id = record.id;
+    feature.geometry = SVGtoWKT.toGeoJSON(record.wkt);
+    feature.properties = properties;
+    return feature;
+  };
+
+  /**
+   * Convert a WKT tree, from `__readWKT`, to a GeoJSON geometry.
+   *
+   * @param {Object} geometry: The WKT geometry.
+   * @return {Object}: The GeoJSON geometry.
+   *
+   * @private
+   */
+  var __geoJSONGeometry = function(geometry) {
+    var parts = geometry.parts || [];
+    var rings = function(polygon) {
+      return polygon.parts.map(__linearize);
+    };
+
+    switch (geometry.type) {
+      case 'POINT':
+        return {type: 'Point', coordinates: geometry.points[0] || []};
+      case 'MULTIPOINT':
+        return {type: 'MultiPoint', coordinates: parts.map(p => p.points[0])};
+      case 'LINESTRING':
+      case 'CIRCULARSTRING':
+      case 'COMPOUNDCURVE':
+        return {type: 'LineString', coordinates: __linearize(geometry)};
+      case 'MULTILINESTRING':
+      case 'MULTICURVE':
+        return {type: 'MultiLineString', coordinates: parts.map(__linearize)};
+      case 'POLYGON':
+      case 'CURVEPOLYGON':
+        return {type: 'Polygon', coordinates: rings(geometry)};
+      case 'MULTIPOLYGON':
+      case 'MULTISURFACE':
+        return {type: 'MultiPolygon', coordinates: parts.map(rings)};
+      case 'GEOMETRYCOLLECTION':
+        return {
+          type: 'GeometryCollection',
+          geometries: parts.map(__geoJSONGeometry)
+        };
+      default:
+        throw new Error('Unsupported WKT type: ' + geometry.type + '.');
+    }
+  };
+
+  /**
+   * The points of a curve, with circular arcs interpolated at `DENSITY`.
+   *
+   * @param {Object} curve: A `LINESTRING`, `CIRCULARSTRING` or
+   * `COMPOUNDCURVE` from `__readWKT`.
+   * @return {Array}: `[x, y]` points.
+   *
+   * @private
+   */
+  var __linearize = function(curve) {
+    switch (curve.type) {
+      case 'COMPOUNDCURVE':
+        var pts = [];
+        curve.parts.forEach(function(part) {
+          var next = __linearize(part);
+          var last = pts[pts.length - 1];
+          if (last && next.length && last[0] == next[0][0] &&
+            last[1] == next[0][1]) {
+            next = next.slice(1);
+          }
+          pts = pts.concat(next);
+        });
+        return pts;
+      case 'CIRCULARSTRING':
+        var pts = curve.points.slice(0, 1);
+        for (var i = 0; i + 2 < curve.points.length; i += 2) {
+          pts = pts.concat(__arcPoints(
+            curve.points[i], curve.points[i + 1], curve.points[i + 2]
+          ).slice(1));
+        }
+        return pts;
+      default:
+        return curve.points;
+    }
+  };
+
+  /**
+   * Interpolate the circular arc through three points at `DENSITY`, or
+   * adaptively when a `TOLERANCE` or `MAX_SEGMENT` is set.
+   *
+   * @param {Array} p1: Start `[x, y]`.
+   * @param {Array} p2: `[x, y]` on the arc.
+   * @param {Array} p3: End `[x, y]`.
+   * @return {Array}: `[x, y]` points, from `p1` to `p3`.
+   *
+   * @private
+   */
+  var __arcPoints = function(p1, p2, p3) {
+    var arc = __threePointArc(
+      __ptFromValues(p1), __ptFromValues(p2), __ptFromValues(p3)
+    );
+
+    // Collinear points are a straight line.
+    if (!arc) return [p1, p3];
+
+    if (__isAdaptive()) {
+      var flat = __flatten(function(t) {
+        var angle = arc.start + arc.sweep * t;
+        return {
+          x: arc.cx + arc.r * Math.cos(angle),
+          y: arc.cy + arc.r * Math.sin(angle)
+        };
+      });
+      return [p1].concat(
+        flat.slice(1, -1).map(pt => [__roundCoord(pt.x), __roundCoord(pt.y)]),
+        [p3]
+      );
+    }
+
+    var length = arc.r * Math.abs(arc.sweep);
+    var count = Math.max(2, Math.round(length * __settings.DENSITY));
+
+    var pts = [p1];
+    for (var i = 1; i < count; i++) {
+      var angle = arc.start + arc.sweep * i / count;
+      pts.push([
+        __roundCoord(arc.cx + arc.r * Math.cos(angle)),
+        __roundCoord(arc.cy + arc.r * Math.sin(angle))
+      ]);
+    }
+    pts.push(p3);
+
+    return pts;
+  };
+
+  /**
+   * WKB geometry type codes.
+   *
+   * @private
+   */
+  var WKB_TYPES = {
+    POINT: 1,
+    LINESTRING: 2,
+    POLYGON: 3,
+    MULTIPOINT: 4,
+    MULTILINESTRING: 5,
+    MULTIPOLYGON: 6,
+    GEOMETRYCOLLECTION: 7,
+    CIRCULARSTRING: 8,
+    COMPOUNDCURVE: 9,
+    CURVEPOLYGON: 10,
+    MULTICURVE: 11,
+    MULTISURFACE: 12
+  };
+
+  /**
+   * EWKB flag marking a geometry type followed by an SRID.
+   *
+   * @private
+   */
+  var EWKB_SRID = 0x20000000;
+
+  /**
+   * EWKB flags marking geometry types with Z and M ordinates, which ISO
+   * WKB marks by adding 1000 (Z), 2000 (M) or 3000 (ZM) to the type code.
+   *
+   * @private
+   */
+  var EWKB_Z = 0x80000000;
+  var EWKB_M = 0x40000000;
+
+  /**
+   * Encode WKT generated by this library as Well-Known Binary, or as
+   * PostGIS Extended WKB when an SRID is given. Z and M ordinates are kept,
+   * with ISO type codes in WKB and the Z and M flags in EWKB.
+   *
+   * @param {String} wkt: WKT, e.g. from `convert` or `polygon`.
+   * @param {Object} options: (optional) `srid`: embed an SRID (EWKB),
+   * by default the SRID of EWKT input, null for none; `hex`: return a hex
+   * string; `littleEndian`: byte order, default true.
+   * @return {Uint8Array|String|null}: The encoded geometry, null for a bare
+   * `EMPTY`.
+   *
+   * @public
+   */
+  SVGtoWKT.toWKB = function(wkt, options) {
+    options = options || {};
+
+    var geometry = __readWKT(wkt);
+    if (!geometry) return null;
+
+    var littleEndian = options.littleEndian !== false;
+    var bytes = [];
+    var scratch = new DataView(new ArrayBuffer(8));
+
+    var uint32 = function(value) {
+      scratch.setUint32(0, value, littleEndian);
+      for (var i = 0; i < 4; i++) bytes.push(scratch.getUint8(i));
+    };
+
+    var float64 = function(value) {
+      scratch.setFloat64(0, value, littleEndian);
+      for (var i = 0; i < 8; i++) bytes.push(scratch.getUint8(i));
+    };
+
+    // Every point is written with all the ordinates of the root.
+    var layout = __dimensions(geometry);
+    var point = function(pt) {
+      for (var i = 0; i < layout.length; i++) float64(pt[i]);
+    };
+
+    // Members of EWKB are EWKB too, with the Z and M flags but no SRID.
+    var write = function(geometry, srid, ewkb) {
+      var type = WKB_TYPES[geometry.type];
+      if (!type) {
+        throw new Error('Unsupported WKT type: ' + geometry.type + '.');
+      }
+      var z = layout.indexOf('Z') != -1;
+      var m = layout.indexOf('M') != -1;
+
+      bytes.push(littleEndian ? 1 : 0);
+      if (!ewkb) {
+        uint32(type + (z ? 1000 : 0) + (m ? 2000 : 0));
+      } else {
+        uint32((type | (srid == null ? 0 : EWKB_SRID) |
+          (z ? EWKB_Z : 0) | (m ? EWKB_M : 0)) >>> 0);
+        if (srid != null) uint32(srid);
+      }
+
+      if (geometry.type == 'POINT') {
+        // Empty points are written with NaN coordinates.
+        point(geometry.points[0] || []);
+      }
+
+      else if (geometry.points) {
+        uint32(geometry.points.length);
+        geometry.points.forEach(point);
+      }
+
+      // Polygon rings are bare point lists, other members full geometries.
+      else if (geometry.type == 'POLYGON') {
+        uint32(geometry.parts.length);
+        geometry.parts.forEach(function(ring) {
+          uint32(ring.points.length);
+          ring.points.forEach(point);
+        });
+      }
+
+      else {
+        uint32(geometry.parts.length);
+        geometry.parts.forEach(part => write(part, null, ewkb));
+      }
+    };
+
+    var srid = options.srid !== undefined ? options.srid : geometry.srid;
+    write(geometry, srid, srid != null);
+
+    var wkb = new Uint8Array(bytes);
+    return options.hex ? __hex(wkb) : wkb;
+  };
+
+  /**
+   * Write bytes as an upper case hex string, as PostGIS does.
+   *
+   * @param {Uint8Array} bytes: The bytes.
+   * @return {String}: The hex string.
+   *
+   * @private
+   */
+  var __hex = function(bytes) {
+    return Array.prototype.map.call(bytes, function(byte) {
+      return (byte < 16 ? '0' : '') + byte.toString(16).toUpperCase();
+    }).join('');
+  };
+
+  /**
+   * Decode Well-Known Binary, or PostGIS Extended WKB, into WKT.
+   *
+   * @param {Uint8Array|String} wkb: The bytes, or a hex string.
+   * @param {Object} options: (optional) As for `writeWKT`.
+   * @return {String}: The WKT, as EWKT when the WKB has an SRID.
+   *
+   * @public
+   */
+  SVGtoWKT.fromWKB = function(wkb, options) {
+    return SVGtoWKT.writeWKT(__readWKB(wkb), options);
+  };
+
+  /**
+   * Read (E)WKB into the tree of `__readWKT`, in either byte order, with
+   * the SRID of EWKB in the `srid` of the root and the Z and M ordinates of
+   * ISO WKB or EWKB in the `dimensions` of each geometry that has them.
+   *
+   * @param {Uint8Array|String} wkb: The bytes, or a hex string.
+   * @return {Object}: The geometry.
+   *
+   * @private
+   */
+  var __readWKB = function(wkb) {
+    if (typeof wkb == 'string') {
+      if (!/^\s*(?:[\da-f]{2})*\s*$/i.test(wkb)) {
+        throw new Error('Invalid WKB.');
+      }
+      wkb = new Uint8Array((wkb.trim().match(/../g) || []).map(
+        byte => parseInt(byte, 16)
+      ));
+    }
+
+    var view = new DataView(wkb.buffer, wkb.byteOffset, wkb.byteLength);
+    var offset = 0;
+
+    var types = {};
+    Object.keys(WKB_TYPES).forEach(name => types[WKB_TYPES[name]] = name);
+
+    var read = function(size, method, littleEndian) {
+      if (offset + size > wkb.byteLength) throw new Error('Invalid WKB.');
+      var value = view[method](offset, littleEndian);
+      offset += size;
+      return value;
+    };
+
+    var readGeometry = function() {
+      var order = read(1, 'getUint8');
+      if (order > 1) throw new Error('Invalid WKB.');
+      var littleEndian = order == 1;
+      var uint32 = () => read(4, 'getUint32', littleEndian);
+
+      var code = uint32();
+      var srid = code & EWKB_SRID ? uint32() : null;
+      var base = (code & ~(EWKB_SRID | EWKB_Z | EWKB_M)) >>> 0;
+      var type = types[base % 1000];
+      var iso = Math.floor(base / 1000);
+      if (!type || iso > 3) {
+        throw new Error('Unsupported WKB type: ' + code + '.');
+      }
+      var dimensions = 'XY' +
+        (code & EWKB_Z || iso & 1 ? 'Z' : '') +
+        (code & EWKB_M || iso & 2 ? 'M' : '');
+
+      var point = function() {
+        var pt = [];
+        for (var i = 0; i < dimensions.length; i++) {
+          pt.push(read(8, 'getFloat64', littleEndian));
+        }
+        return pt;
+      };
+
+      var points = function() {
+        var pts = [];
+        for (var n = uint32(); n > 0; n--) pts.push(point());
+        return pts;
+      };
+
+      var geometry;
+      if (type == 'POINT') {
+        // Empty points are written with NaN coordinates.
+        var pt = point();
+        geometry = {type: type, points: isNaN(pt[0]) ? [] : [pt]};
+      } else if (!WKT_MEMBERS.hasOwnProperty(type)) {
+        geometry = {type: type, points: points()};
+      } else if (type == 'POLYGON') {
+        geometry = {type: type, parts: []};
+        for (var rings = uint32(); rings > 0; rings--) {
+          geometry.parts.push({type: 'LINESTRING', points: points()});
+        }
+      } else {
+        geometry = {type: type, parts: []};
+        for (var parts = uint32(); parts > 0; parts--) {
+          geometry.parts.push(readGeometry());
+        }
+      }
+
+      if (dimensions != 'XY') geometry.dimensions = dimensions;
+      if (srid != null) geometry.srid = srid;
+      return geometry;
+    };
+
+    var geometry = readGeometry();
+    if (offset != wkb.byteLength) throw new Error('Invalid WKB.');
+    return geometry;
+  };
+
+  /**
+   * WKT => SVG, to look at and edit converted drawings. Each geometry is
+   * written as a `<path>`, with arcs as `A` commands, holes kept by
+   * `fill-rule="evenodd"` and lines stroked; collections become `<g>`s.
+   * Coordinates are mapped back from output coordinates through the
+   * inverse of `GEOREFERENCE`, or else reflected back by `FLIP_Y`, and the
+   * `viewBox` fits the drawing.
+   *
+   * @param {String|Uint8Array|Array|Object} geometries: (E)WKT, (E)WKB
+   * bytes or hex, an array of those or of `{id, title, wkt}` records, or
+   * the result of `parse` or `convert`, whose shapes are written with the
+   * `id` and `title` of the spaces they match.
+   * @param {Object} options: (optional) Settings for the call.
+   * @return {String}: SVG markup.
+   *
+   * @public
+   */
+  SVGtoWKT.toSVG = function(geometries, options) {
+    return __call(SVGtoWKT, options, () => __toSVG(geometries));
+  };
+
+  /**
+   * WKT => SVG, with the settings of the call in place.
+   *
+   * @param {String|Uint8Array|Array|Object} geometries: `toSVG` input.
+   * @return {String}: SVG markup.
+   *
+   * @private
+   */
+  var __toSVG = function(geometries) {
+    var elements = [];
+    var box = null;
+
+    __svgItems(geometries).forEach(function(item) {
+      if (!item.geometry) return;
+      var geometry = __mapPoints(item.geometry, function(pt) {
+        var svg = __unproject({x: pt[0], y: pt[1]});
+        return [svg.x, svg.y];
+      });
+      var element = __svgElement(geometry, item, '  ');
+      if (!element) return;
+      elements.push(element);
+
+      var extent = __bbox(__writeWKT(geometry));
+      if (extent && box) {
+        box.minX = Math.min(box.minX, extent.minX);
+        box.minY = Math.min(box.minY, extent.minY);
+        box.maxX = Math.max(box.maxX, extent.maxX);
+        box.maxY = Math.max(box.maxY, extent.maxY);
+      } else if (extent) {
+        box = extent;
+      }
+    });
+
+    // Points and lines along an axis still get a visible viewport.
+    box = box || {minX: 0, minY: 0, maxX: 0, maxY: 0};
+    var viewBox = [box.minX, box.minY, box.maxX - box.minX || 1,
+      box.maxY - box.minY || 1].map(__svgNumber).join(' ');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">\n` +
+      elements.map(element => element + '\n').join('') + '</svg>';
+  };
+
+  /**
+   * Gather the geometries for `toSVG`, with their `id` and `title`.
+   *
+   * @param {String|Uint8Array|Array|Object} geometries: `toSVG` input.
+   * @return {Array}: `{id, title, geometry}` items, with geometries from
+   *   `__readWKT` or `__readWKB`, or null for `EMPTY`.
+   *
+   * @private
+   */
+  var __svgItems = function(geometries) {
+    var read = function(value) {
+      if (value == null) return null;
+      if (value instanceof Uint8Array ||
+        /^\s*(?:[\da-f]{2})+\s*$/i.test(value)) {
+        return __readWKB(value);
+      }
+      return __readWKT(value);
+    };
+
+    var isGeometry = value => value == null ||
+      typeof value == 'string' || value instanceof Uint8Array;
+
+    if (typeof geometries == 'string' && /^\s*\{/.test(geometries)) {
+      geometries = JSON.parse(geometries);
+    }
+    if (isGeometry(geometries)) return [{geometry: read(geometries)}];
+    if (Array.isArray(geometries)) {
+      return geometries.map(item => isGeometry(item) ? {geometry: read(item)} :
+        {id: item.id, title: item.title, geometry: read(item.wkt)});
+    }
+
+    // A `parse` result has a record for each shape.
+    if (geometries.geometries) return __svgItems(geometries.geometries);
+
+    // A `convert` result only names shapes by the spaces they equal. The
+    // collection of a group never equals a shape, which is at most a
+    // collection of the area and the lines of a path.
+    var spaces = (geometries.spaces || []).map(function(space) {
+      var geometry = read(space.space);
+      return {
+        id: space.id,
+        title: space.title,
+        wkt: geometry ? __writeWKT(geometry) : null
+      };
+    });
+    var detail = read(geometries.detail);
+
+    return (detail ? detail.parts : []).map(function(part) {
+      var wkt = __writeWKT(part);
+      var space = spaces.find(space => space.wkt === wkt) || {};
+      space.wkt = null;
+      return {id: space.id, title: space.title, geometry: part};
+    });
+  };
+
+  /**
+   * Copy a `__readWKT` geometry with its points mapped.
+   *
+   * @param {Object} geometry: The geometry.
+   * @param {Function} map: Maps an `[x, y]` point.
+   * @return {Object}: The copy.
+   *
+   * @private
+   */
+  var __mapPoints = function(geometry, map) {
+    return geometry.points ?
+      {type: geometry.type, points: geometry.points.map(map)} :
+      {type: geometry.type, parts: geometry.parts.map(
+        part => __mapPoints(part, map))};
+  };
+
+  /**
+   * Write a geometry as an SVG element: a `<g>` for a collection, else a
+   * `<path>`, filled for polygons, stroked for lines and drawn as round
+   * dots for points.
+   *
+   * @param {Object} geometry: The geometry, in SVG coordinates.
+   * @param {Object} item: (optional) Its `id` and `title`.
+   * @param {String} indent: The indentation of the element.
+   * @return {String}: The markup, empty when there is nothing to draw.
+   *
+   * @private
+   */
+  var __svgElement = function(geometry, item, indent) {
+    var id = item.id != null ? ` id="${__escapeXml(item.id)}"` : '';
+    var title = item.title != null ?
+      `<title>${__escapeXml(item.title)}</title>` : '';
+
+    if (geometry.type == 'GEOMETRYCOLLECTION') {
+      var children = geometry.parts
+        .map(part => __svgElement(part, {}, indent + '  '))
+        .filter(child => child);
+      if (title) children.unshift(indent + '  ' + title);
+      return children.length ?
+        `${indent}<g${id}>\n${children.join('\n')}\n${indent}</g>` :
+        id ? `${indent}<g${id} />` : '';
+    }
+
+    var d = __pathData(geometry);
+    if (!d) return '';
+    var style = /POLYGON|SURFACE/.test(geometry.type) ?
+      ' fill-rule="evenodd"' :
+      ' fill="none" stroke="black" vector-effect="non-scaling-stroke"' +
+      (/POINT/.test(geometry.type) ?
+        ' stroke-width="4" stroke-linecap="round"' : '');
+    return `${indent}<path${id} d="${d}"${style}` +
+      (title ? `>${title}</path>` : ' />');
+  };
+
+  /**
+   * Write a geometry as SVG path data: a subpath for each line and ring,
+   * closed for rings, with circular arcs as `A` commands. Points are
+   * closed subpaths of no length, which round caps draw as dots.
+   *
+   * @param {Object} geometry: A puntal, lineal or polygonal geometry, in
+   *   SVG coordinates.
+   * @return {String}: The path data, empty without points.
+   *
+   * @private
+   */
+  var __pathData = function(geometry) {
+    var pt = p => __svgNumber(p[0]) + ' ' + __svgNumber(p[1]);
+    var same = (p, q) => p[0] == q[0] && p[1] == q[1];
+
+    // The arc through three points; a full circle when the ends meet.
+    var arc = function(p1, p2, p3) {
+      if (same(p1, p3)) {
+        if (same(p1, p2)) return '';
+        var r = __svgNumber(Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) / 2);
+        return `A${r} ${r} 0 0 1 ${pt(p2)}A${r} ${r} 0 0 1 ${pt(p3)}`;
+      }
+      var circle = __threePointArc({x: p1[0], y: p1[1]},
+        {x: p2[0], y: p2[1]}, {x: p3[0], y: p3[1]});
+      if (!circle) return 'L' + pt(p3);
+      var radius = __svgNumber(circle.r);
+      var large = Math.abs(circle.sweep) > Math.PI ? 1 : 0;
+      var sweep = circle.sweep > 0 ? 1 : 0;
+      return `A${radius} ${radius} 0 ${large} ${sweep} ${pt(p3)}`;
+    };
+
+    // A curve, starting with a move unless it continues another.
+    var curve = function(line, move) {
+      if (line.type == 'COMPOUNDCURVE') {
+        return line.parts.map((part, i) => curve(part, move && i == 0))
+          .join('');
+      }
+      var pts = line.points;
+      if (!pts.length) return '';
+      var d = move ? 'M' + pt(pts[0]) : '';
+      if (line.type == 'CIRCULARSTRING') {
+        for (var i = 0; i + 2 < pts.length; i += 2) {
+          d += arc(pts[i], pts[i + 1], pts[i + 2]);
+        }
+        return d;
+      }
+      return d + pts.slice(1).map(p => 'L' + pt(p)).join('');
+    };
+
+    // Rings are closed with `Z` rather than by repeating their start.
+    var ring = function(part) {
+      var first = part.parts ? part.parts[0] : part;
+      var unclose = function(line) {
+        var pts = line.points;
+        return line.type == 'LINESTRING' && first.points.length &&
+          same(first.points[0], pts[pts.length - 1]) ?
+          {type: line.type, points: pts.slice(0, -1)} : line;
+      };
+      var d = curve(part.parts ? {
+        type: part.type,
+        parts: part.parts.slice(0, -1).concat(unclose(part.parts.slice(-1)[0]))
+      } : unclose(part), true);
+      return d && d + 'Z';
+    };
+
+    switch (geometry.type) {
+      case 'POINT':
+        return geometry.points.length ? 'M' + pt(geometry.points[0]) + 'Z' : '';
+      case 'MULTIPOINT':
+        return geometry.parts.map(__pathData).join('');
+      case 'LINESTRING':
+      case 'CIRCULARSTRING':
+      case 'COMPOUNDCURVE':
+        return curve(geometry, true);
+      case 'MULTILINESTRING':
+      case 'MULTICURVE':
+        return geometry.parts.map(part => curve(part, true)).join('');
+      case 'POLYGON':
+      case 'CURVEPOLYGON':
+        return geometry.parts.map(ring).join('');
+      case 'MULTIPOLYGON':
+      case 'MULTISURFACE':
+        return geometry.parts.map(__pathData).join('');
+      default:
+        throw new Error('Unsupported WKT type: ' + geometry.type + '.');
+    }
+  };
+
+  /**
+   * Write a number for SVG markup, without a negative zero.
+   *
+   * @param {Number} value: The number.
+   * @return {String}: The number as a string.
+   *
+   * @private
+   */
+  var __svgNumber = function(value) {
+    return String(value + 0);
+  };
+
+  /**
+   * Escape text for XML content and attribute values.
+   *
+   * @param {String} text: The text.
+   * @return {String}: The escaped text.
+   *
+   * @private
+   */
+  var __escapeXml = function(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  };
+
+  /**
+   * Check WKT for problems that spatial databases reject or that point at a
+   * broken drawing: coordinates that are not finite, consecutive duplicate
+   * points, unclosed rings, too few points, self-intersecting rings and
+   * rings without area. With `repair`, what can be fixed is: bad points
+   * and duplicates are dropped, rings are closed, and lines and rings that
+   * are left degenerate are removed.
+   *
+   * @param {String} wkt: WKT, e.g. from `convert` or `polygon`.
+   * @param {Object} options: (optional) `repair`: fix what can be fixed;
+   * and settings for the call.
+   * @return {Object}: `{valid, issues, wkt}`: whether no errors remain, the
+   * `Issue`s found, and the WKT, repaired when asked.
+   *
+   * @public
+   */
+  SVGtoWKT.validate = function(wkt, options) {
+    options = options || {};
+    return __call(SVGtoWKT, options, () => __validate(wkt, options.repair));
+  };
+
+  var __validate = function(wkt, repair) {
+    var issues = [];
+    var geometry;
+
+    try {
+      geometry = __readWKT(wkt);
+    } catch (e) {
+      issues.push(__issue('invalid-wkt', 'error', 'The WKT cannot be read.'));
+      return {valid: false, issues, wkt};
+    }
+
+    var report = function(code, severity, message, at, repaired) {
+      issues.push(Object.assign(__issue(code, severity, message), {
+        at: at,
+        repaired: !!(repair && repaired)
+      }));
+    };
+
+    var checked = geometry && __checkGeometry(geometry, [], null, report);
+
+    if (!geometry || __isEmpty(geometry)) {
+      report('empty', 'warning', 'The geometry is empty.', [], false);
+    }
+
+    if (repair && geometry) {
+      wkt = checked ? __writeWKT(checked) : geometry.type + ' EMPTY';
+      if (geometry.srid != null) wkt = 'SRID=' + geometry.srid + ';' + wkt;
+    }
+
+    return {
+      valid: !issues.some(i => i.severity == 'error' && !i.repaired),
+      issues,
+      wkt
+    };
+  };
+
+  /**
+   * @param {String} code: The issue code.
+   * @param {String} severity: `error` or `warning`.
+   * @param {String} message: A description.
+   * @return {Issue}: The issue, at the root and not repaired.
+   *
+   * @private
+   */
+  var __issue = function(code, severity, message) {
+    return {code, severity, message, at: [], repaired: false};
+  };
+
+  /**
+   * Check a geometry read by `__readWKT` and build its repaired copy.
+   *
+   * @param {Object} geometry: The geometry.
+   * @param {Array} at: Its indices within the root geometry.
+   * @param {String} parent: The type of the enclosing geometry, if any.
+   * @param {Function} report: Called with `(code, severity, message, at,
+   *   repaired)` for each issue.
+   * @return {Object|null}: The repaired geometry, or null to drop it.
+   *
+   * @private
+   */
+  var __checkGeometry = function(geometry, at, parent, report) {
+    var ring = parent == 'POLYGON' || parent == 'CURVEPOLYGON';
+
+    if (geometry.parts) {
+      var parts = [];
+      var shell = true;
+      geometry.parts.forEach(function(part, i) {
+        // A ring of a compound curve is checked as a whole.
+        var checked = __checkGeometry(part, at.concat(i),
+          ring ? null : geometry.type, report);
+        if (checked) parts.push(checked);
+        else if (i == 0) shell = false;
+      });
+
+      var copy = Object.assign({}, geometry, {parts: parts});
+      if (geometry.type == 'COMPOUNDCURVE' && ring) {
+        return parts.length == geometry.parts.length ?
+          __checkRing(copy, at, report) : null;
+      }
+
+      // A polygon without its shell is gone.
+      var polygon = geometry.type == 'POLYGON' ||
+        geometry.type == 'CURVEPOLYGON';
+      return polygon && !shell ? null : copy;
+    }
+
+    var curve = geometry.type == 'CIRCULARSTRING';
+    var points = geometry.points.filter(pt => pt.every(isFinite));
+    if (points.length < geometry.points.length) {
+      report('non-finite', 'error',
+        'Coordinates must be finite numbers.', at, !curve);
+      if (curve) return null;
+    }
+
+    if (geometry.type == 'POINT') {
+      return points.length ? geometry : null;
+    }
+
+    // Empty geometries are valid.
+    if (!geometry.points.length) return geometry;
+
+    // Arcs need all their points.
+    if (!curve) {
+      var unique = points.filter(function(pt, i) {
+        return i == 0 || pt[0] != points[i - 1][0] || pt[1] != points[i - 1][1];
+      });
+      if (unique.length < points.length) {
+        report('duplicate-point', 'warning',
+          'Consecutive points are repeated.', at, true);
+        points = unique;
+      }
+    }
+
+    var min = curve ? 3 : 2;
+    if (points.length < min || (curve && points.length % 2 == 0)) {
+      report('too-few-points', 'error', geometry.type + ' needs ' +
+        (curve ? 'an odd number of, and at least, ' : 'at least ') + min +
+        ' points.', at, true);
+      return null;
+    }
+
+    var copy = Object.assign({}, geometry, {points: points});
+    return ring && geometry.type != 'COMPOUNDCURVE' ?
+      __checkRing(copy, at, report) : copy;
+  };
+
+  /**
+   * Check a polygon ring for closure, size, area and self-intersection.
+   *
+   * @param {Object} ring: The ring, with valid points.
+   * @param {Array} at: Its indices within the root geometry.
+   * @param {Function} report: Called for each issue.
+   * @return {Object|null}: The repaired ring, or null to drop it.
+   *
+   * @private
+   */
+  var __checkRing = function(ring, at, report) {
+    var pts = __linearize(ring);
+    var first = pts[0], last = pts[pts.length - 1];
+
+    if (first[0] != last[0] || first[1] != last[1]) {
+      report('unclosed-ring', 'error',
+        'Rings must end at their first point.', at, true);
+      if (ring.type == 'LINESTRING') {
+        ring = Object.assign({}, ring, {points: ring.points.concat([first])});
+      } else {
+        // Close curves with a straight line.
+        var parts = ring.type == 'COMPOUNDCURVE' ? ring.parts : [ring];
+        ring = {type: 'COMPOUNDCURVE', parts: parts.concat(
+          {type: 'LINESTRING', points: [last, first]}
+        )};
+      }
+      pts = pts.concat([first]);
+    }
+
+    if (pts.length < 4) {
+      report('too-few-points', 'error',
+        'Rings need at least 4 points.', at, true);
+      return null;
+    }
+
+    var collinear = pts.every(pt => __orientation(pts[0], pts[1], pt) == 0);
+    if (collinear) {
+      report('zero-area', 'error', 'The ring encloses no area.', at, true);
+      return null;
+    }
+
+    if (__selfIntersects(pts)) {
+      report('self-intersection', 'error',
+        'The ring crosses or touches itself.', at, false);
+    }
+
+    return ring;
+  };
+
+  /**
+   * Whether a closed ring crosses or touches itself, by testing every pair
+   * of its edges.
+   *
+   * @param {Array} pts: `[x, y]` points, the last repeating the first.
+   * @return {Boolean}: True when it does.
+   *
+   * @private
+   */
+  var __selfIntersects = function(pts) {
+    var n = pts.length - 1;
+
+    for (var i = 0; i < n; i++) {
+      for (var j = i + 1; j < n; j++) {
+        var adjacent = j == i + 1 || (i == 0 && j == n - 1);
+        var a = pts[i], b = pts[i + 1], c = pts[j], d = pts[j + 1];
+
+        if (!adjacent) {
+          if (__segmentsTouch(a, b, c, d)) return true;
+        }
+
+        // Adjacent edges only share their common point, unless they fold
+        // back over each other.
+        else if (__orientation(a, b, c) == 0 && __orientation(a, b, d) == 0) {
+          var shared = j == i + 1 ? b : a;
+          var u = j == i + 1 ? a : b, v = j == i + 1 ? d : c;
+          if ((u[0] - shared[0]) * (v[0] - shared[0]) +
+            (u[1] - shared[1]) * (v[1] - shared[1]) > 0) {
+            return true;
+          }
+        }
+      }
+    }
+
+    return false;
+  };
+
+  /**
+   * Whether two line segments share any point.
+   *
+   * @param {Array} a: `[x, y]` start of the first segment.
+   * @param {Array} b: `[x, y]` end of the first segment.
+   * @param {Array} c: `[x, y]` start of the second segment.
+   * @param {Array} d: `[x, y]` end of the second segment.
+   * @return {Boolean}: True when they intersect.
+   *
+   * @private
+   */
+  var __segmentsTouch = function(a, b, c, d) {
+    var o1 = __orientation(a, b, c), o2 = __orientation(a, b, d);
+    var o3 = __orientation(c, d, a), o4 = __orientation(c, d, b);
+
+    if (o1 != o2 && o3 != o4) return true;
+
+    // Collinear cases: an end point lies on the other segment.
+    var on = function(p, q, r) {
+      return Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+        Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1]);
+    };
+    return (o1 == 0 && on(a, c, b)) || (o2 == 0 && on(a, d, b)) ||
+      (o3 == 0 && on(c, a, d)) || (o4 == 0 && on(c, b, d));
+  };
+
+  /**
+   * The turn direction of three points.
+   *
+   * @return {Number}: 1 counterclockwise, -1 clockwise, 0 collinear.
+   *
+   * @private
+   */
+  var __orientation = function(p, q, r) {
+    return Math.sign((q[0] - p[0]) * (r[1] - p[1]) -
+      (q[1] - p[1]) * (r[0] - p[0]));
+  };
+
+  /**
+   * Whether a geometry read by `__readWKT` has no points.
+   *
+   * @param {Object} geometry: The geometry.
+   * @return {Boolean}: True when empty.
+   *
+   * @private
+   */
+  var __isEmpty = function(geometry) {
+    return geometry.points ? !geometry.points.length :
+      geometry.parts.every(__isEmpty);
+  };
+
+  /**
+   * Write a geometry in the model of `__readWKT` as WKT, leaving out the
+   * tags of members whose type is implied. Points have the ordinates named
+   * by the `dimensions` of the geometry or its nearest ancestor, or else
+   * by their count: `XY`, `XYZ` or `XYZM`. Ordinates are rounded to
+   * `PRECISION` or snapped to `GRID`, and points of lines and rings that
+   * land on the point before them are left out, as long as enough remain.
+   *
+   * @param {Object} geometry: The geometry.
+   * @param {Object} options: (optional) Formatting:
+   *   - {Boolean} spaced: `LINESTRING (1 2, 3 4)` rather than the compact
+   *     `LINESTRING(1 2,3 4)`.
+   *   - {String} dimensions: The ordinates to write, of `XY`, `XYZ`, `XYM`
+   *     and `XYZM`; by default those of the geometry.
+   *   - {Boolean} dropEmpty: Leave out empty members of collections.
+   * @return {String}: The WKT.
+   *
+   * @private
+   */
+  var __writeWKT = function(geometry, options) {
+    options = options || {};
+    var open = options.spaced ? ' (' : '(';
+    var separator = options.spaced ? ', ' : ',';
+    var target = options.dimensions;
+    if (target && DIMENSIONS.indexOf(target) == -1) {
+      throw new Error('Unknown dimensions: ' + target + '.');
+    }
+
+    var write = function(geometry, implied, layout, ring) {
+      layout = geometry.dimensions || layout;
+      var output = target || layout;
+
+      // Each output ordinate, by its index in the points.
+      var ordinates = output.split('').map(function(name) {
+        var index = layout.indexOf(name);
+        if (index == -1) throw new Error('No ' + name + ' values.');
+        return index;
+      });
+
+      var tag = geometry.type == implied ? '' :
+        geometry.type + (output == 'XY' ? '' : ' ' + output.slice(2));
+      var rings = geometry.type == 'POLYGON' ||
+        geometry.type == 'CURVEPOLYGON';
+      var members = geometry.points ?
+        __roundPoints(geometry, ordinates, ring) :
+        geometry.parts
+          .filter(part => !options.dropEmpty || !__isEmpty(part))
+          .map(part => write(part, WKT_MEMBERS[geometry.type], layout, rings));
+
+      // Members that collapse are left out, and a polygon goes with its
+      // exterior ring; a collapsed geometry of its own type is EMPTY.
+      if (members === null || rings && members[0] === null) {
+        if (!tag) return null;
+        members = [];
+      }
+      members = members.filter(member => member !== null);
+
+      if (!members.length) return tag ? tag + ' EMPTY' : 'EMPTY';
+      return tag + (tag ? open : '(') + members.join(separator) + ')';
+    };
+
+    return write(geometry, null, __dimensions(geometry), false);
+  };
+
+  /**
+   * Round the points of a geometry for `__writeWKT`, leaving out points of
+   * a `LINESTRING` that round onto the point before them. A line left with
+   * fewer than 2 distinct points, or a ring with fewer than 3, collapses.
+   *
+   * @param {Object} geometry: A `{type, points}` geometry.
+   * @param {Array} ordinates: The index of each ordinate to write.
+   * @param {Boolean} ring: Whether the geometry is a ring of a polygon.
+   * @return {Array|null}: The points, as WKT coordinate strings, or null
+   *   if the geometry collapses.
+   *
+   * @private
+   */
+  var __roundPoints = function(geometry, ordinates, ring) {
+    var pts = geometry.points.map(
+      pt => ordinates.map(i => __roundCoord(pt[i])).join(' ')
+    );
+    if (geometry.type != 'LINESTRING' || !pts.length) return pts;
+
+    var kept = pts.filter((pt, i) => i == 0 || pt != pts[i - 1]);
+    return new Set(kept).size >= (ring ? 3 : 2) ? kept : null;
+  };
+
+  /**
+   * The coordinate layout of a geometry: its `dimensions`, or else the
+   * one implied by the number of ordinates of its first point.
+   *
+   * @param {Object} geometry: The geometry.
+   * @return {String}: `XY`, `XYZ`, `XYM` or `XYZM`.
+   *
+   * @private
+   */
+  var __dimensions = function(geometry) {
+    if (geometry.dimensions) return geometry.dimensions;
+    if (geometry.points) {
+      var count = geometry.points.length ? geometry.points[0].length : 2;
+      return count == 4 ? 'XYZM' : count == 3 ? 'XYZ' : 'XY';
+    }
+    var part = geometry.parts.find(part => !__isEmpty(part));
+    return part ? __dimensions(part) : 'XY';
+  };
+
+  /**
+   * Clip a geometry read by `__readWKT` to a region, keeping what lies
+   * inside it. Curves are interpolated first, and new points are rounded to
+   * `PRECISION`.
+   *
+   * @param {Object} geometry: The geometry.
+   * @param {Array} region: Polygons, from `__polygonsOf`.
+   * @return {Object}: The clipped geometry, possibly empty.
+   *
+   * @private
+   */
+  var __clipGeometry = function(geometry, region) {
+    switch (geometry.type) {
+      case 'POINT':
+      case 'MULTIPOINT':
+        var points = geometry.parts || [geometry];
+        points = points.filter(point => point.points.length &&
+          __inRegion(__ptFromValues(point.points[0]), region));
+        return geometry.parts ?
+          {type: geometry.type, parts: points} :
+          points[0] || {type: 'POINT', points: []};
+
+      case 'LINESTRING':
+      case 'CIRCULARSTRING':
+      case 'COMPOUNDCURVE':
+      case 'MULTILINESTRING':
+      case 'MULTICURVE':
+        var curves = /^MULTI/.test(geometry.type) ? geometry.parts : [geometry];
+        var lines = [];
+        curves.forEach(function(curve) {
+          var pts = __linearize(curve).map(__ptFromValues);
+          lines = lines.concat(__clipLine(pts, region));
+        });
+        lines = lines.map(__lineGeometry);
+        return lines.length == 1 ? lines[0] :
+          lines.length ? {type: 'MULTILINESTRING', parts: lines} :
+          {type: 'LINESTRING', points: []};
+
+      case 'GEOMETRYCOLLECTION':
+        return {
+          type: geometry.type,
+          parts: geometry.parts.map(part => __clipGeometry(part, region))
+            .filter(part => !__isEmpty(part))
+        };
+
+      default:
+        return __polygonsGeometry(
+          __intersectPolygons(__polygonsOf(geometry), region)
+        );
+    }
+  };
+
+  /**
+   * The polygons of a geometry read by `__readWKT`, with curves
+   * interpolated and shells counterclockwise and holes clockwise.
+   *
+   * @param {Object} geometry: The geometry.
+   * @return {Array}: Polygons, each an array of `{x, y}` rings without
+   *   repeating the first point, shell first.
+   *
+   * @private
+   */
+  var __polygonsOf = function(geometry) {
+    switch (geometry.type) {
+      case 'POLYGON':
+      case 'CURVEPOLYGON':
+        var rings = geometry.parts.map(function(part) {
+          var ring = __linearize(part).map(__ptFromValues);
+          var first = ring[0], last = ring[ring.length - 1];
+          if (first && first.x == last.x && first.y == last.y) ring.pop();
+          return ring;
+        });
+        if (!rings.length || Math.abs(__signedArea(rings[0])) == 0) return [];
+        return [rings.filter((ring, i) => !i || ring.length >= 3)
+          .map(function(ring, i) {
+            var ccw = __signedArea(ring) > 0;
+            return ccw == !i ? ring : ring.slice().reverse();
+          })];
+      case 'MULTIPOLYGON':
+      case 'MULTISURFACE':
+      case 'GEOMETRYCOLLECTION':
+        return [].concat(...geometry.parts.map(__polygonsOf));
+      default:
+        return [];
+    }
+  };
+
+  /**
+   * Whether a point is inside a region.
+   *
+   * @param {Object} pt: The `{x, y}` point.
+   * @param {Array} region: Polygons, from `__polygonsOf`.
+   * @return {Boolean}: True if inside a shell and outside its holes.
+   *
+   * @private
+   */
+  var __inRegion = function(pt, region) {
+    return region.some(function(polygon) {
+      return __pointInRing(pt, polygon[0]) &&
+        !polygon.slice(1).some(hole => __pointInRing(pt, hole));
+    });
+  };
+
+  /**
+   * The edges of the rings of polygons, each ready to be cut.
+   *
+   * @param {Array} polygons: Polygons, from `__polygonsOf`.
+   * @return {Array}: `{a, b, cuts}` edges.
+   *
+   * @private
+   */
+  var __ringEdges = function(polygons) {
+    var edges = [];
+    polygons.forEach(function(polygon) {
+      polygon.forEach(function(ring) {
+        ring.forEach(function(pt, i) {
+          edges.push({a: pt, b: ring[(i + 1) % ring.length], cuts: []});
+        });
+      });
+    });
+    return edges;
+  };
+
+  /**
+   * A distance below which points are taken to coincide, relative to the
+   * size of the coordinates.
+   *
+   * @param {Array} edges: `{a, b}` edges.
+   * @return {Number}: The tolerance.
+   *
+   * @private
+   */
+  var __tolerance = function(edges) {
+    var size = 1;
+    edges.forEach(function(edge) {
+      size = Math.max(size, Math.abs(edge.a.x), Math.abs(edge.a.y));
+    });
+    return size * 1e-9;
+  };
+
+  /**
+   * Find where two sets of edges, or the edges of one set, cross or touch,
+   * and record the points as `cuts` on the edges they fall inside. Both
+   * edges get the same point.
+   *
+   * @param {Array} edges: `{a, b, cuts}` edges.
+   * @param {Array} others: `{a, b, cuts}` edges.
+   * @param {Number} eps: The tolerance.
+   *
+   * @private
+   */
+  var __cutEdges = function(edges, others, eps) {
+    var self = edges === others;
+
+    var cut = function(edge, pt) {
+      if (__distance(pt, edge.a) <= eps || __distance(pt, edge.b) <= eps) {
+        return;
+      }
+      var dx = edge.b.x - edge.a.x, dy = edge.b.y - edge.a.y;
+      var t = ((pt.x - edge.a.x) * dx + (pt.y - edge.a.y) * dy) /
+        (dx * dx + dy * dy);
+      if (t > 0 && t < 1) edge.cuts.push({t: t, pt: pt});
+    };
+
+    edges.forEach(function(e, i) {
+      others.forEach(function(f, j) {
+        // Within one set, each pair once.
+        if (self && j <= i) return;
+
+        var rx = e.b.x - e.a.x, ry = e.b.y - e.a.y;
+        var sx = f.b.x - f.a.x, sy = f.b.y - f.a.y;
+        var qx = f.a.x - e.a.x, qy = f.a.y - e.a.y;
+        var denom = rx * sy - ry * sx;
+
+        // Overlapping parallel edges cut each other at their ends.
+        if (Math.abs(denom) <= 1e-12 * Math.hypot(rx, ry) * Math.hypot(sx, sy)) {
+          [f.a, f.b].forEach(function(pt) {
+            if (__segmentDistance(pt, e.a, e.b) <= eps) cut(e, pt);
+          });
+          [e.a, e.b].forEach(function(pt) {
+            if (__segmentDistance(pt, f.a, f.b) <= eps) cut(f, pt);
+          });
+          return;
+        }
+
+        var t = (qx * sy - qy * sx) / denom;
+        var u = (qx * ry - qy * rx) / denom;
+        var pt = {x: e.a.x + t * rx, y: e.a.y + t * ry};
+        if (__segmentDistance(pt, e.a, e.b) > eps ||
+          __segmentDistance(pt, f.a, f.b) > eps) return;
+
+        // Snap to an end point, so both edges share it exactly.
+        [e.a, e.b, f.a, f.b].some(function(end) {
+          if (__distance(pt, end) > eps) return false;
+          pt = end;
+          return true;
+        });
+        cut(e, pt);
+        cut(f, pt);
+      });
+    });
+  };
+
+  /**
+   * Split edges at their cuts.
+   *
+   * @param {Array} edges: `{a, b, cuts}` edges.
+   * @param {Function} snap: Maps points to the first one seen within the
+   *   tolerance, from `__snapper`.
+   * @return {Array}: `{a, b}` pieces, in order along each edge.
+   *
+   * @private
+   */
+  var __edgePieces = function(edges, snap) {
+    var pieces = [];
+    edges.forEach(function(edge) {
+      var pts = [edge.a].concat(
+        edge.cuts.sort((c1, c2) => c1.t - c2.t).map(cut => cut.pt),
+        [edge.b]
+      ).map(snap);
+      for (var i = 1; i < pts.length; i++) {
+        var a = pts[i - 1], b = pts[i];
+        if (a !== b) pieces.push({a: a, b: b});
+      }
+    });
+    return pieces;
+  };
+
+  /**
+   * Merge points closer than a tolerance, so that pieces meeting at a
+   * point share it exactly.
+   *
+   * @param {Number} eps: The tolerance.
+   * @return {Function}: Maps a point to the first one seen near it.
+   *
+   * @private
+   */
+  var __snapper = function(eps) {
+    var size = eps * 4;
+    var grid = new Map();
+
+    return function(pt) {
+      var gx = Math.floor(pt.x / size), gy = Math.floor(pt.y / size);
+      for (var i = -1; i <= 1; i++) {
+        for (var j = -1; j <= 1; j++) {
+          var near = (grid.get((gx + i) + ' ' + (gy + j)) || [])
+            .find(other => __distance(pt, other) <= eps);
+          if (near) return near;
+        }
+      }
+      var cell = gx + ' ' + gy;
+      grid.set(cell, (grid.get(cell) || []).concat([pt]));
+      return pt;
+    };
+  };
+
+  /**
+   * The edge a point lies on, if any.
+   *
+   * @param {Object} pt: The `{x, y}` point.
+   * @param {Array} edges: `{a, b}` edges.
+   * @param {Number} eps: The tolerance.
+   * @return {Object|undefined}: The edge.
+   *
+   * @private
+   */
+  var __edgeAt = function(pt, edges, eps) {
+    return edges.find(edge => __segmentDistance(pt, edge.a, edge.b) <= eps);
+  };
+
+  var __midpoint = function(piece) {
+    return {x: (piece.a.x + piece.b.x) / 2, y: (piece.a.y + piece.b.y) / 2};
+  };
+
+  var __distance = function(p, q) {
+    return Math.hypot(p.x - q.x, p.y - q.y);
+  };
+
+  /**
+   * The intersection of two sets of polygons: the boundary pieces of each
+   * that lie inside the other, joined into rings. Where the boundaries run
+   * together, they are kept once if the insides are on the same side.
+   *
+   * @param {Array} subject: Polygons, from `__polygonsOf`.
+   * @param {Array} clip: Polygons, from `__polygonsOf`.
+   * @return {Array}: Polygons, each an array of `{x, y}` rings, shell first.
+   *
+   * @private
+   */
+  var __intersectPolygons = function(subject, clip) {
+    var edges = __ringEdges(subject);
+    var clipEdges = __ringEdges(clip);
+    var eps = __tolerance(edges.concat(clipEdges));
+
+    __cutEdges(edges, clipEdges, eps);
+
+    var same = function(piece, edge) {
+      return (piece.b.x - piece.a.x) * (edge.b.x - edge.a.x) +
+        (piece.b.y - piece.a.y) * (edge.b.y - edge.a.y) > 0;
+    };
+
+    var snap = __snapper(eps);
+    var kept = __edgePieces(edges, snap).filter(function(piece) {
+      var mid = __midpoint(piece);
+      var shared = __edgeAt(mid, clipEdges, eps);
+      return shared ? same(piece, shared) : __inRegion(mid, clip);
+    });
+
+    __edgePieces(clipEdges, snap).forEach(function(piece) {
+      var mid = __midpoint(piece);
+      if (!__edgeAt(mid, edges, eps) && __inRegion(mid, subject)) {
+        kept.push(piece);
+      }
+    });
+
+    return __assembleRings(kept, eps);
+  };
+
+  /**
+   * Join boundary pieces, with the inside on their left, into polygons.
+   * Where several pieces leave a point, the leftmost turn is taken, so
+   * that polygons touching at a point stay apart.
+   *
+   * @param {Array} kept: `{a, b}` pieces.
+   * @param {Number} eps: The tolerance.
+   * @return {Array}: Polygons, each an array of `{x, y}` rings, shell first.
+   *
+   * @private
+   */
+  var __assembleRings = function(kept, eps) {
+    var key = pt => pt.x + ' ' + pt.y;
+    var outgoing = {};
+    kept.forEach(function(piece) {
+      (outgoing[key(piece.a)] = outgoing[key(piece.a)] || []).push(piece);
+    });
+
+    var turn = function(from, to) {
+      var ux = from.b.x - from.a.x, uy = from.b.y - from.a.y;
+      var vx = to.b.x - to.a.x, vy = to.b.y - to.a.y;
+      return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    };
+
+    var shells = [];
+    var holes = [];
+    kept.forEach(function(piece) {
+      var ring = [];
+      while (piece && !piece.used) {
+        piece.used = true;
+        ring.push(piece.a);
+        var from = piece;
+        piece = (outgoing[key(piece.b)] || []).filter(next => !next.used)
+          .sort((p1, p2) => turn(from, p2) - turn(from, p1))[0];
+      }
+
+      // Without points in the middle of straight runs.
+      ring = ring.filter(function(pt, i) {
+        var prev = ring[(i + ring.length - 1) % ring.length];
+        var next = ring[(i + 1) % ring.length];
+        return __segmentDistance(pt, prev, next) > eps;
+      });
+
+      var area = ring.length >= 3 ? __signedArea(ring) : 0;
+      if (area > eps * eps) shells.push({ring: ring, area: area});
+      if (area < -eps * eps) holes.push(ring);
+    });
+
+    // Each hole goes in the smallest shell around it.
+    shells.sort((s1, s2) => s1.area - s2.area);
+    shells.forEach(shell => shell.polygon = [shell.ring]);
+    holes.forEach(function(hole) {
+      var shell = shells.find(shell => __ringInside(hole, shell.ring));
+      if (shell) shell.polygon.push(hole);
+    });
+
+    return shells.map(shell => shell.polygon);
+  };
+
+  /**
+   * Clip a line to a region.
+   *
+   * @param {Array} pts: `{x, y}` points of the line.
+   * @param {Array} region: Polygons, from `__polygonsOf`.
+   * @return {Array}: The lines inside, as `{x, y}` points.
+   *
+   * @private
+   */
+  var __clipLine = function(pts, region) {
+    var edges = [];
+    for (var i = 1; i < pts.length; i++) {
+      edges.push({a: pts[i - 1], b: pts[i], cuts: []});
+    }
+    var regionEdges = __ringEdges(region);
+    var eps = __tolerance(edges.concat(regionEdges));
+
+    __cutEdges(edges, regionEdges, eps);
+
+    var lines = [];
+    var line = null;
+    __edgePieces(edges, __snapper(eps)).forEach(function(piece) {
+      var mid = __midpoint(piece);
+      if (!__edgeAt(mid, regionEdges, eps) && !__inRegion(mid, region)) {
+        line = null;
+        return;
+      }
+      if (!line) lines.push(line = [piece.a]);
+      line.push(piece.b);
+    });
+
+    return lines;
+  };
+
+  /**
+   * The union of polygons: the region their rings wind around a nonzero
+   * number of times.
+   *
+   * @param {Array} polygons: Polygons, from `__polygonsOf`.
+   * @return {Array}: Polygons that do not overlap, each an array of
+   *   `{x, y}` rings, shell first.
+   *
+   * @private
+   */
+  var __unionPolygons = function(polygons) {
+    var edges = __ringEdges(polygons);
+    var eps = __tolerance(edges);
+    __cutEdges(edges, edges, eps);
+
+    // Keep the pieces with the inside on their left only, shared ones once.
+    var seen = {};
+    var kept = __edgePieces(edges, __snapper(eps)).filter(function(piece) {
+      var mid = __midpoint(piece);
+      var dx = piece.b.x - piece.a.x, dy = piece.b.y - piece.a.y;
+      var d = eps * 1e3 / Math.hypot(dx, dy);
+      var left = {x: mid.x - dy * d, y: mid.y + dx * d};
+      var right = {x: mid.x + dy * d, y: mid.y - dx * d};
+      var key = [piece.a.x, piece.a.y, piece.b.x, piece.b.y].join();
+
+      if (seen[key] || !__winding(left, edges) || __winding(right, edges)) {
+        return false;
+      }
+      return seen[key] = true;
+    });
+
+    return __assembleRings(kept, eps);
+  };
+
+  /**
+   * The winding number of closed rings around a point.
+   *
+   * @param {Object} pt: The `{x, y}` point.
+   * @param {Array} edges: `{a, b}` edges of the rings.
+   * @return {Number}: Positive for counterclockwise rings.
+   *
+   * @private
+   */
+  var __winding = function(pt, edges) {
+    var winding = 0;
+    edges.forEach(function(edge) {
+      var a = edge.a, b = edge.b;
+      var side = (b.x - a.x) * (pt.y - a.y) - (pt.x - a.x) * (b.y - a.y);
+      if (a.y <= pt.y && b.y > pt.y && side > 0) winding++;
+      if (a.y > pt.y && b.y <= pt.y && side < 0) winding--;
+    });
+    return winding;
+  };
+
+  /**
+   * The area covered by stroking lines: a rectangle along each segment,
+   * a join between segments and a cap at each end, merged.
+   *
+   * @param {Array} lines: Lines, each an array of `{x, y}` points.
+   * @param {Object} stroke: `{width, linejoin, linecap, miterlimit}`, with
+   *   the width in the units of the points.
+   * @return {Array}: Polygons, each an array of `{x, y}` rings, shell first.
+   *
+   * @private
+   */
+  var __strokeLines = function(lines, stroke) {
+    var h = stroke.width / 2;
+    var shapes = [];
+
+    var add = function(ring) {
+      var area = __signedArea(ring);
+      if (area > 0) shapes.push([ring]);
+      if (area < 0) shapes.push([ring.reverse()]);
+    };
+
+    var move = function(pt, v, k) {
+      return {x: pt.x + v.x * k, y: pt.y + v.y * k};
+    };
+
+    // The left normal of a segment, half the width long.
+    var normal = function(p, q) {
+      var length = __distance(p, q);
+      return {x: -(q.y - p.y) / length * h, y: (q.x - p.x) / length * h};
+    };
+
+    // Round joins and caps.
+    var disc = function(center) {
+      var at = t => move(center, {
+        x: Math.cos(2 * Math.PI * t),
+        y: Math.sin(2 * Math.PI * t)
+      }, h);
+      if (__isAdaptive()) return add(__flatten(at).slice(0, -1));
+      var count = Math.max(8, Math.round(2 * Math.PI * h * __settings.DENSITY));
+      add(Array.from({length: count}, (_, i) => at(i / count)));
+    };
+
+    // The outside corner of a turn: a bevel, a miter up to `miterlimit`, or
+    // a disc.
+    var join = function(a, v, b) {
+      if (stroke.linejoin == 'round') return disc(v);
+
+      var n1 = normal(a, v), n2 = normal(v, b);
+      var k = n1.x * n2.y - n1.y * n2.x > 0 ? -1 : 1;
+      var o1 = move(v, n1, k), o2 = move(v, n2, k);
+
+      // The miter length over the width, from the angle of the turn.
+      var cos = (n1.x * n2.x + n1.y * n2.y) / (h * h);
+      var ratio = 1 / Math.sqrt((1 + cos) / 2);
+
+      if (stroke.linejoin != 'bevel' && ratio <= stroke.miterlimit) {
+        var bisector = {x: n1.x + n2.x, y: n1.y + n2.y};
+        var length = Math.hypot(bisector.x, bisector.y);
+        return add([v, o1, move(v, bisector, k * h * ratio / length), o2]);
+      }
+      add([v, o1, o2]);
+    };
+
+    lines.forEach(function(line) {
+      var pts = line.filter(function(pt, i) {
+        return !i || pt.x != line[i - 1].x || pt.y != line[i - 1].y;
+      });
+      var last = pts.length - 1;
+
+      // A zero length line only has caps.
+      if (!last) {
+        if (stroke.linecap == 'round') disc(pts[0]);
+        if (stroke.linecap == 'square') {
+          add([[-1, -1], [1, -1], [1, 1], [-1, 1]].map(corner =>
+            move(pts[0], {x: corner[0], y: corner[1]}, h)));
+        }
+        return;
+      }
+
+      for (var i = 0; i < last; i++) {
+        var p = pts[i], q = pts[i + 1];
+        var n = normal(p, q);
+
+        // Square caps lengthen the end segments.
+        if (stroke.linecap == 'square') {
+          if (i == 0) p = move(p, {x: n.y, y: -n.x}, -1);
+          if (i == last - 1) q = move(q, {x: n.y, y: -n.x}, 1);
+        }
+        add([move(p, n, -1), move(q, n, -1), move(q, n, 1), move(p, n, 1)]);
+        if (i) join(pts[i - 1], pts[i], q);
+      }
+
+      if (stroke.linecap == 'round') {
+        disc(pts[0]);
+        disc(pts[last]);
+      }
+    });
+
+    return __unionPolygons(shapes);
+  };
+
+  /**
+   * Replace the lines in a geometry with the area their stroke covers.
+   *
+   * @param {Object} geometry: The geometry, from `__readWKT`.
+   * @param {Object} stroke: The stroke, from `__strokeStyle`.
+   * @return {Object}: The geometry, with the stroke as a (multi)polygon.
+   *
+   * @private
+   */
+  var __strokeGeometry = function(geometry, stroke) {
+    var parts = geometry.type == 'GEOMETRYCOLLECTION' ?
+      geometry.parts : [geometry];
+    var lines = [];
+    var rest = [];
+
+    parts.forEach(function(part) {
+      switch (part.type) {
+        case 'MULTILINESTRING':
+        case 'MULTICURVE':
+          part.parts.forEach(curve => lines.push(__linearize(curve)));
+          break;
+        case 'LINESTRING':
+        case 'CIRCULARSTRING':
+        case 'COMPOUNDCURVE':
+          lines.push(__linearize(part));
+          break;
+        default:
+          rest.push(part);
+      }
+    });
+
+    lines = lines.filter(line => line.length)
+      .map(line => line.map(__ptFromValues));
+    if (!lines.length) return geometry;
+
+    var area = __polygonsGeometry(__strokeLines(lines, stroke));
+    return rest.length ?
+      {type: 'GEOMETRYCOLLECTION', parts: rest.concat([area])} : area;
+  };
+
+  /**
+   * Write polygons of `{x, y}` rings as a `__readWKT` geometry, rounded to
+   * `PRECISION`.
+   *
+   * @param {Array} polygons: Polygons, each an array of rings, shell first.
+   * @return {Object}: A `POLYGON`, `MULTIPOLYGON` or empty `POLYGON`.
+   *
+   * @private
+   */
+  var __polygonsGeometry = function(polygons) {
+    polygons = polygons.map(function(polygon) {
+      return {
+        type: 'POLYGON',
+        parts: polygon.map(ring => __lineGeometry(ring.concat([ring[0]])))
+      };
+    });
+    return polygons.length == 1 ? polygons[0] :
+      polygons.length ? {type: 'MULTIPOLYGON', parts: polygons} :
+      {type: 'POLYGON', parts: []};
+  };
+
+  /**
+   * Write `{x, y}` points as a `__readWKT` line, rounded to `PRECISION`.
    *
-   * @param {String} d: <path> `d` attribute value.
-   * @return {SVGPathElement}: The new <path> element.
+   * @param {Array} pts: The points.
+   * @return {Object}: A `LINESTRING`.
    *
    * @private
    */
-  var __pathElement = function(d) {
-    var path = document.createElementNS(SVGNS, 'path');
-    path.setAttributeNS(null, 'd', d);
-    return path;
+  var __lineGeometry = function(pts) {
+    return {
+      type: 'LINESTRING',
+      points: pts.map(pt => [__roundCoord(pt.x), __roundCoord(pt.y)])
+    };
   };
 
-  var __curveString = function(curves) {
-    var linePts = [];
-    var geometries = [];
-    var firstPt = null;
-    var lastPt = {x: 0, y: 0};
+  /**
+   * Parse a SVG `transform` attribute into a matrix `[a, b, c, d, e, f]`.
+   *
+   * @param {String} transform: The attribute value.
+   * @param {Function} onError: (optional) Called with a description of the
+   *   first error.
+   * @return {Array}: The combined matrix, identity when empty or invalid.
+   *
+   * @private
+   */
+  var __parseTransform = function(transform, onError) {
+    var matrix = IDENTITY;
+    var pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    var counts = {
+      matrix: [6], translate: [1, 2], scale: [1, 2], rotate: [1, 3],
+      skewX: [1], skewY: [1]
+    };
+    var match;
 
-    for (const step of curves) {
-      switch (step.type) {
-        case 'M':
-          // Move pen
+    transform = transform || '';
+
+    var fail = function(reason) {
+      if (onError) onError(reason);
+      return IDENTITY;
+    };
+
+    // Anything but transforms and separators is an error.
+    var rest = transform.replace(pattern, ',').replace(/[\s,]+/g, '');
+    if (rest) return fail(`Invalid transform \`${transform.trim()}\`.`);
+
+    while ((match = pattern.exec(transform))) {
+      var invalid = false;
+      var args = __numbers(match[2], () => invalid = true);
+      var m;
+
+      if (invalid || counts[match[1]].indexOf(args.length) == -1) {
+        return fail(`Invalid arguments for \`${match[1]}\` ` +
+          `in transform \`${transform.trim()}\`.`);
+      }
+
+      switch (match[1]) {
+        case 'matrix':
+          m = args;
           break;
-        case 'L':
-          if (linePts.length == 0) {
-            linePts.push(lastPt);
-          }
-          linePts.push(__ptFromValues(step.values));
+        case 'translate':
+          m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
           break;
-        case 'Z':
-          // Close by returning to start
-          if (firstPt && lastPt && !(firstPt.x == lastPt.x && firstPt.y == lastPt.y)) {
-            linePts.push(firstPt);
-          }
-          continue;
-        case 'A':
-        default:
-          const pathData = `M ${lastPt.x} ${lastPt.y} ${step.type} ${step.values.join(" ")}`;
-          const mockElement = __pathElement(pathData);
-
-          if (step.type === 'A' && step.values[0] == step.values[1]) {
-            if (linePts.length > 0) {
-              geometries.push(__lineString(linePts));
-              linePts = [];
-            }
-            // Circular arc case
-            const length = mockElement.getTotalLength();
-            const midPoint = mockElement.getPointAtLength(length / 2);
-            const endPoint = __ptFromValues(step.values);
-            geometries.push(__circularString(lastPt, midPoint, endPoint));
-          } else {
-            // All other cases, e.g. bezier, quadratic curves
-            const shapePts = __interpolatedPoints(mockElement);
-            linePts = linePts.concat(shapePts);
-          }
+        case 'scale':
+          var sx = args.length ? args[0] : 1;
+          m = [sx, 0, 0, args.length > 1 ? args[1] : sx, 0, 0];
+          break;
+        case 'rotate':
+          var a = (args[0] || 0) * Math.PI / 180;
+          var cos = Math.cos(a), sin = Math.sin(a);
+          var ox = args[1] || 0, oy = args[2] || 0;
+          m = [cos, sin, -sin, cos,
+            ox - cos * ox + sin * oy, oy - sin * ox - cos * oy];
+          break;
+        case 'skewX':
+          m = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+          break;
+        case 'skewY':
+          m = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
           break;
       }
 
-      if (step.values.length >= 2) {
-        lastPt = __ptFromValues(step.values);
+      matrix = __multiply(matrix, m);
+    }
+
+    return matrix;
+  };
+
+  /**
+   * Invert an affine matrix.
+   *
+   * @param {Array} m: The matrix.
+   * @return {Array}: The inverse.
+   *
+   * @private
+   */
+  var __invert = function(m) {
+    var det = m[0] * m[3] - m[1] * m[2];
+    if (!det) throw new Error('The transform cannot be inverted.');
+    return [
+      m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+      (m[2] * m[5] - m[3] * m[4]) / det, (m[1] * m[4] - m[0] * m[5]) / det
+    ];
+  };
+
+  /**
+   * Multiply two affine matrices; `m2` is applied first.
+   *
+   * @param {Array} m1: The outer matrix.
+   * @param {Array} m2: The inner matrix.
+   * @return {Array}: The product.
+   *
+   * @private
+   */
+  var __multiply = function(m1, m2) {
+    return [
+      m1[0] * m2[0] + m1[2] * m2[1],
+      m1[1] * m2[0] + m1[3] * m2[1],
+      m1[0] * m2[2] + m1[2] * m2[3],
+      m1[1] * m2[2] + m1[3] * m2[3],
+      m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+      m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+  };
+
+  var __transformPoint = function(m, pt) {
+    return {
+      x: m[0] * pt.x + m[2] * pt.y + m[4],
+      y: m[1] * pt.x + m[3] * pt.y + m[5]
+    };
+  };
+
+  /**
+   * Fit a transform from SVG user units to world coordinates to control
+   * points, by least squares, for use as `GEOREFERENCE`.
+   *
+   * @param {Array} points: `{svg: [x, y], world: [x, y]}` control points;
+   * at least 3 (not all on a line) for `affine`, 2 for `similarity`.
+   * @param {String} method: (optional) `'affine'` (default), or
+   * `'similarity'` for rotation, uniform scale, translation and reflection.
+   * @return {Array}: The matrix `[a, b, c, d, e, f]`.
+   *
+   * @public
+   */
+  SVGtoWKT.fitGeoreference = function(points, method) {
+    var src = points.map(p => ({x: +p.svg[0], y: +p.svg[1]}));
+    var dst = points.map(p => ({x: +p.world[0], y: +p.world[1]}));
+
+    if ((method || 'affine') == 'affine') {
+      if (src.length < 3) {
+        throw new Error('Affine georeferencing needs 3 control points.');
       }
+      return __fitAffine(src, dst);
+    }
 
-      if (!firstPt) {
-        firstPt = lastPt
+    if (method != 'similarity') {
+      throw new Error('Unknown georeferencing method: ' + method + '.');
+    }
+
+    if (src.length < 2) {
+      throw new Error('Similarity georeferencing needs 2 control points.');
+    }
+
+    // Fit with and without a reflection and keep the closer one; SVG's
+    // Y-down space usually maps onto a Y-up world with one.
+    var flip = [1, 0, 0, -1, 0, 0];
+    var direct = __fitSimilarity(src, dst);
+    var reflected = __multiply(__fitSimilarity(
+      src.map(pt => __transformPoint(flip, pt)), dst
+    ), flip);
+
+    return __residual(reflected, src, dst) < __residual(direct, src, dst) ?
+      reflected : direct;
+  };
+
+  /**
+   * Least squares affine fit, solving the normal equations for X and Y.
+   *
+   * @param {Array} src: `{x, y}` SVG points.
+   * @param {Array} dst: `{x, y}` world points.
+   * @return {Array}: The matrix.
+   *
+   * @private
+   */
+  var __fitAffine = function(src, dst) {
+    // Sums of the products of [x, y, 1] with itself and the targets.
+    var n = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    var tx = [0, 0, 0], ty = [0, 0, 0];
+    src.forEach(function(pt, i) {
+      var row = [pt.x, pt.y, 1];
+      for (var r = 0; r < 3; r++) {
+        for (var c = 0; c < 3; c++) n[r][c] += row[r] * row[c];
+        tx[r] += row[r] * dst[i].x;
+        ty[r] += row[r] * dst[i].y;
       }
+    });
+
+    var det = function(m) {
+      return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    };
+
+    var d = det(n);
+    if (Math.abs(d) < 1e-12) {
+      throw new Error('Control points must not all lie on a line.');
     }
 
-    // At least two points per line
-    if (linePts.length > 1) {
-      geometries.push(__lineString(linePts));
+    // Cramer's rule.
+    var solve = function(t) {
+      return [0, 1, 2].map(function(col) {
+        var m = n.map((row, r) => row.map((v, c) => c == col ? t[r] : v));
+        return det(m) / d;
+      });
+    };
+
+    var x = solve(tx), y = solve(ty);
+    return [x[0], y[0], x[1], y[1], x[2], y[2]];
+  };
+
+  /**
+   * Least squares fit of rotation, uniform scale and translation.
+   *
+   * @param {Array} src: `{x, y}` SVG points.
+   * @param {Array} dst: `{x, y}` world points.
+   * @return {Array}: The matrix.
+   *
+   * @private
+   */
+  var __fitSimilarity = function(src, dst) {
+    var mean = function(pts) {
+      return {
+        x: pts.reduce((sum, pt) => sum + pt.x, 0) / pts.length,
+        y: pts.reduce((sum, pt) => sum + pt.y, 0) / pts.length
+      };
+    };
+
+    var ms = mean(src), md = mean(dst);
+    var norm = 0, a = 0, b = 0;
+    src.forEach(function(pt, i) {
+      var sx = pt.x - ms.x, sy = pt.y - ms.y;
+      var dx = dst[i].x - md.x, dy = dst[i].y - md.y;
+      norm += sx * sx + sy * sy;
+      a += sx * dx + sy * dy;
+      b += sx * dy - sy * dx;
+    });
+
+    if (norm == 0) {
+      throw new Error('Control points must not coincide.');
     }
 
-    // At least one part per multi curve
-    return geometries.length ? geometries.join() : ' EMPTY';
-  }
+    a /= norm; b /= norm;
+    return [a, b, -b, a,
+      md.x - (a * ms.x - b * ms.y),
+      md.y - (b * ms.x + a * ms.y)
+    ];
+  };
 
-  var __ptFromValues = function(values) {
-    return new DOMPointReadOnly(values[values.length - 2], values[values.length - 1]);
-  }
+  /**
+   * Sum of squared distances between transformed and target points.
+   *
+   * @param {Array} m: The matrix.
+   * @param {Array} src: `{x, y}` SVG points.
+   * @param {Array} dst: `{x, y}` world points.
+   * @return {Number}: The residual.
+   *
+   * @private
+   */
+  var __residual = function(m, src, dst) {
+    return src.reduce(function(sum, pt, i) {
+      var out = __transformPoint(m, pt);
+      return sum + Math.pow(out.x - dst[i].x, 2) + Math.pow(out.y - dst[i].y, 2);
+    }, 0);
+  };
 
-  var __lineString = function(points) {
-    return `(${points.map(p => `${p.x} ${-p.y}`).join()})`;
-  }
+  /**
+   * The transform from an element's user space to the root's, moved so
+   * that the `ORIGIN` of the root is at 0,0.
+   *
+   * @param {Object} element: The element.
+   * @param {Object} svg: The root `<svg>` element.
+   * @return {Array}: The matrix.
+   *
+   * @private
+   */
+  var __outputCTM = function(element, svg) {
+    var matrix = __getCTM(element, svg);
 
-  var __circularString = function(startPt, midPt, endPt) {
-    return `CIRCULARSTRING(${startPt.x} ${-startPt.y}, ${midPt.x} ${-midPt.y}, ${endPt.x} ${-endPt.y})`;
-  }
+    // Georeferencing maps root user space itself.
+    if (__settings.GEOREFERENCE || __settings.ORIGIN == 'user') return matrix;
 
- /**
-   * Construct a SVG path element.
+    var viewBox = __viewBox(svg);
+    var size = __userSpaceSize(svg);
+    var x = viewBox ? viewBox[0] : 0, y = viewBox ? viewBox[1] : 0;
+
+    switch (__settings.ORIGIN) {
+      case 'top-left':
+        break;
+      case 'bottom-left':
+        if (!isNaN(size.height)) y += size.height;
+        break;
+      default:
+        throw new Error('Unknown origin: ' + __settings.ORIGIN + '.');
+    }
+
+    return __multiply([1, 0, 0, 1, -x, -y], matrix);
+  };
+
+  /**
+   * Whether an elliptical arc drawn through a matrix is written as a curve:
+   * `CURVES` is on and the arc is circular in output coordinates, after
+   * the matrix and the georeference. An ellipse squashed back into a
+   * circle counts, a circle skewed into an ellipse does not.
    *
-   * @param {SVGPathElement} path: A <path> element.
-   * @return array: An array of { x, y } coords.
+   * @param {Array} values: `[rx, ry, rotation, ...]` arc parameters.
+   * @param {Array} matrix: The transform to apply.
+   * @return {Boolean}: True to keep the arc as a curve.
    *
    * @private
    */
-  var __interpolatedPoints = function(path) {
-    var pts = [];
+  var __isCircularArc = function(values, matrix) {
+    var rx = Math.abs(values[0]), ry = Math.abs(values[1]);
+    if (!__settings.CURVES || !(rx > 0 && ry > 0)) return false;
 
-    // Get number of points.
-    var length = path.getTotalLength();
-    var count = Math.round(length * SVGtoWKT.DENSITY);
+    // The image of the unit circle is the output ellipse.
+    var phi = values[2] * Math.PI / 180;
+    var cos = Math.cos(phi), sin = Math.sin(phi);
+    var m = __multiply(matrix, [cos * rx, sin * rx, -sin * ry, cos * ry, 0, 0]);
+    if (__settings.GEOREFERENCE) m = __multiply(__settings.GEOREFERENCE, m);
+    return __isSimilarity(m);
+  };
 
-    // Interpolate points.
-    _(count + 1).times(function(i) {
-      var point = path.getPointAtLength((length * i) / count);
-      pts.push({x: __round(point.x), y: __round(point.y)});
-    });
+  /**
+   * Whether a matrix only rotates, reflects, translates and scales
+   * uniformly, so that circles stay circles.
+   *
+   * @param {Array} m: The matrix.
+   * @return {Boolean}: True for similarity transforms.
+   *
+   * @private
+   */
+  var __isSimilarity = function(m) {
+    var eps = 1e-9 * (Math.abs(m[0]) + Math.abs(m[1]) + Math.abs(m[2]) +
+      Math.abs(m[3]));
+    var rotation = Math.abs(m[0] - m[3]) <= eps && Math.abs(m[1] + m[2]) <= eps;
+    var reflection = Math.abs(m[0] + m[3]) <= eps &&
+      Math.abs(m[1] - m[2]) <= eps;
+    return rotation || reflection;
+  };
 
-    return pts;
-  }
+  /**
+   * The transform from an element's user space to the user space of an
+   * ancestor, composed from the `transform` attributes in between, the
+   * viewports established by nested `<svg>` and `<symbol>` elements and the
+   * `x`/`y` offsets of `<use>` elements.
+   *
+   * @param {Object} element: The element.
+   * @param {Object} ancestor: The ancestor, by default the root.
+   * @return {Array}: The matrix.
+   *
+   * @private
+   */
+  var __getCTM = function(element, ancestor) {
+    var matrix = IDENTITY;
+    for (var el = element; el && el !== ancestor && el.nodeType == 1;
+      el = el.parentNode) {
+      var m = __parseTransform(__attr(el, 'transform'));
+      if (el.nodeName == 'svg' || el.nodeName == 'symbol') {
+        m = __multiply(m, __viewportTransform(el));
+      }
+      if (el.nodeName == 'use') {
+        m = __multiply(m, [1, 0, 0, 1,
+          __lengthAttr(el, 'x', 0), __lengthAttr(el, 'y', 0)]);
+      }
+      matrix = __multiply(m, matrix);
+    }
+    return matrix;
+  };
+
+  /**
+   * The transform into a nested `<svg>` or `<symbol>` viewport: its `x`/`y`
+   * offset and the `viewBox` mapping under `preserveAspectRatio`.
+   *
+   * @param {Object} svg: The `<svg>` or `<symbol>` element.
+   * @return {Array}: The matrix.
+   *
+   * @private
+   */
+  var __viewportTransform = function(svg) {
+    var parent = __userSpaceSize(__nearestViewport(svg));
+    var matrix = [1, 0, 0, 1,
+      __length(__attr(svg, 'x'), parent.width) || 0,
+      __length(__attr(svg, 'y'), parent.height) || 0
+    ];
+
+    var viewBox = __viewBox(svg);
+    if (!viewBox) return matrix;
+
+    // Without a resolvable size, the viewBox is drawn at its own scale.
+    var size = __viewportSize(svg);
+    var width = isNaN(size.width) ? viewBox[2] : size.width;
+    var height = isNaN(size.height) ? viewBox[3] : size.height;
+
+    var sx = width / viewBox[2], sy = height / viewBox[3];
+    var par = (__attr(svg, 'preserveAspectRatio') || '').trim()
+      .replace(/^defer\s+/, '').split(/\s+/);
+    var align = par[0] || 'xMidYMid';
+
+    if (align != 'none') {
+      sx = sy = par[1] == 'slice' ? Math.max(sx, sy) : Math.min(sx, sy);
+    }
+
+    // Alignment of the scaled viewBox within the viewport.
+    var ax = {xMin: 0, xMid: 0.5, xMax: 1}[align.slice(0, 4)] || 0;
+    var ay = {YMin: 0, YMid: 0.5, YMax: 1}[align.slice(4)] || 0;
+
+    return __multiply(matrix, [sx, 0, 0, sy,
+      -viewBox[0] * sx + (width - viewBox[2] * sx) * ax,
+      -viewBox[1] * sy + (height - viewBox[3] * sy) * ay
+    ]);
+  };
+
+  /**
+   * The nearest ancestor `<svg>` or `<symbol>` element.
+   *
+   * @param {Object} element: The element.
+   * @return {Object|null}: The `<svg>` or `<symbol>` element, if any.
+   *
+   * @private
+   */
+  var __nearestViewport = function(element) {
+    for (var el = element.parentNode; el && el.nodeType == 1;
+      el = el.parentNode) {
+      if (el.nodeName == 'svg' || el.nodeName == 'symbol') return el;
+    }
+    return null;
+  };
+
+  /**
+   * The size of the user space an `<svg>` establishes for its children: its
+   * `viewBox` if set, otherwise its viewport size.
+   *
+   * @param {Object|null} svg: The `<svg>` element.
+   * @return {Object}: `{width, height}`, NaN where unknown.
+   *
+   * @private
+   */
+  var __userSpaceSize = function(svg) {
+    if (!svg) return {width: NaN, height: NaN};
+    var viewBox = __viewBox(svg);
+    if (viewBox) return {width: viewBox[2], height: viewBox[3]};
+    return __viewportSize(svg);
+  };
+
+  /**
+   * The viewport size of an `<svg>`, from `width`/`height` with percentages
+   * resolved against the enclosing user space.
+   *
+   * @param {Object} svg: The `<svg>` element.
+   * @return {Object}: `{width, height}`, NaN where unknown.
+   *
+   * @private
+   */
+  var __viewportSize = function(svg) {
+    var parent = __userSpaceSize(__nearestViewport(svg));
+    return {
+      width: __length(__attr(svg, 'width') || '100%', parent.width),
+      height: __length(__attr(svg, 'height') || '100%', parent.height)
+    };
+  };
+
+  /**
+   * Read a valid `viewBox` attribute.
+   *
+   * @param {Object} svg: The `<svg>` element.
+   * @return {Array|null}: `[x, y, width, height]`, if set and valid.
+   *
+   * @private
+   */
+  var __viewBox = function(svg) {
+    var values = __numbers(__attr(svg, 'viewBox'));
+    if (values.length != 4) return null;
+    return values[2] > 0 && values[3] > 0 ? values : null;
+  };
+
+  /**
+   * Resolve a length attribute value: a number with an optional absolute
+   * unit (`px`, `in`, `cm`, `mm`, `pt`, `pc`), a font-relative unit (`em`,
+   * `ex`) or a percentage of a reference length.
+   *
+   * @param {String} value: The attribute value.
+   * @param {Number} reference: The length that 100% refers to.
+   * @param {Number} fontSize: (optional) The length of 1em.
+   * @return {Number}: The length, NaN when absent or unresolvable.
+   *
+   * @private
+   */
+  var __length = function(value, reference, fontSize) {
+    var match = LENGTH.exec(value || '');
+    if (!match) return NaN;
+
+    var length = parseFloat(match[1]);
+    var unit = match[2].toLowerCase();
+    var em = fontSize === undefined ? DEFAULT_FONT_SIZE : fontSize;
+
+    if (unit == '%') return reference * length / 100;
+    if (unit == 'em') return length * em;
+    if (unit == 'ex') return length * em / 2;
+    if (unit == '') return length;
+    return UNITS.hasOwnProperty(unit) ? length * UNITS[unit] : NaN;
+  };
 
   /**
    * Round a number to the number of decimal places in `PRECISION`.
@@ -532,10 +5932,98 @@
    * @private
    */
   var __round = function(val) {
-    var root = Math.pow(10, SVGtoWKT.PRECISION);
-    return Math.round(val * root) / root;
+    var root = Math.pow(10, __settings.PRECISION);
+    return Math.round(val * root) / root + 0;
+  };
+
+  /**
+   * Round a coordinate to `PRECISION`, or snap it to `GRID` when set.
+   *
+   * @param {Number} val: The coordinate.
+   * @return {Number}: The rounded value, never -0.
+   *
+   * @private
+   */
+  var __roundCoord = function(val) {
+    var grid = __settings.GRID;
+    if (!grid) return __round(val);
+
+    // Multiples of a grid like 0.1 are rounded to its decimal places.
+    var digits = /(?:\.(\d+))?(?:e-(\d+))?$/.exec(String(grid));
+    var root = Math.pow(10, (digits[1] || '').length + Number(digits[2] || 0));
+    return Math.round(Math.round(val / grid) * grid * root) / root + 0;
+  };
+
+  var __roundPoint = function(pt) {
+    return {x: __roundCoord(pt.x), y: __roundCoord(pt.y)};
+  };
+
+  /**
+   * Create a converter with settings of its own, for several drawings or
+   * map layers that need different settings. It has the methods of
+   * `SVGtoWKT` and its own `PRECISION`, `DENSITY` and other settings,
+   * which start from the library defaults; changing them leaves `SVGtoWKT`
+   * and other converters alone.
+   *
+   * @param {Object} defaults: (optional) Settings, named as the options of
+   *   `parse`: `precision`, `density`, `curves`, `srid` and so on.
+   * @return {Object}: The converter.
+   *
+   * @public
+   */
+  SVGtoWKT.create = function(defaults) {
+    var converter = Object.assign({SVGError: SVGError}, DEFAULTS);
+    Object.keys(SETTINGS).forEach(function(option) {
+      if (defaults && defaults[option] !== undefined) {
+        converter[SETTINGS[option]] = defaults[option];
+      }
+    });
+
+    Object.keys(SVGtoWKT).forEach(function(name) {
+      var method = SVGtoWKT[name];
+      if (typeof method != 'function' || method === SVGError) return;
+      converter[name] = function() {
+        return __call(converter, null, () => method.apply(SVGtoWKT, arguments));
+      };
+    });
+
+    return converter;
+  };
+
+  /**
+   * Run a call with the settings of a converter, overridden by the options
+   * of the call. Calls made while another runs, like `parse` from
+   * `convert`, start from the settings of the outer call.
+   *
+   * @param {Object} converter: `SVGtoWKT`, or a converter from `create`.
+   * @param {Object} options: (optional) The options of the call.
+   * @param {Function} run: The call.
+   * @return {*}: Its result.
+   *
+   * @private
+   */
+  var __call = function(converter, options, run) {
+    var outer = __settings;
+    var settings = {};
+    Object.keys(SETTINGS).forEach(function(option) {
+      var name = SETTINGS[option];
+      settings[name] = options && options[option] !== undefined ?
+        options[option] : (outer || converter)[name];
+    });
+
+    __settings = settings;
+    try {
+      return run();
+    } finally {
+      __settings = outer;
+    }
   };
 
-  this.SVGtoWKT = SVGtoWKT;
+  // Export for CommonJS (Node), otherwise attach to the global object.
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SVGtoWKT;
+  } else {
+    this.SVGtoWKT = SVGtoWKT;
+  }
 
 }.call(this));
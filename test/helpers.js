@@ -13,7 +13,15 @@ var T = (function(T) {
    */
   T.reset = function() {
     SVGtoWKT.PRECISION = 3;
+    SVGtoWKT.GRID = null;
     SVGtoWKT.DENSITY = 1;
+    SVGtoWKT.TOLERANCE = null;
+    SVGtoWKT.MAX_SEGMENT = null;
+    SVGtoWKT.CURVES = false;
+    SVGtoWKT.GEOREFERENCE = null;
+    SVGtoWKT.SRID = null;
+    SVGtoWKT.FLIP_Y = true;
+    SVGtoWKT.ORIGIN = 'user';
   };
 
 
@@ -28,6 +36,17 @@ var T = (function(T) {
   };
 
 
+  /**
+   * Convert a SVG document and get the WKT of all its shapes.
+   *
+   * @param {String} svg: The SVG markup.
+   * @return {String}: The `detail` GEOMETRYCOLLECTION.
+   */
+  T.detail = function(svg) {
+    return JSON.parse(SVGtoWKT.convert(svg)).detail;
+  };
+
+
   return T;
 
 
@@ -31,6 +31,14 @@ describe('circle', function() {
   });
 
 
+  it('should create a CURVEPOLYGON when curves are on', function() {
+    SVGtoWKT.CURVES = true;
+    expect(SVGtoWKT.circle(0, 0, 1.2)).toEqual(
+      'CURVEPOLYGON(CIRCULARSTRING(1.2 0,0 -1.2,-1.2 0,0 1.2,1.2 0))'
+    );
+  });
+
+
   it('should react to different density settings', function() {
     SVGtoWKT.DENSITY = 1;
     var c1 = T.countPoints(SVGtoWKT.circle(0, 0, 1.2, 1));
@@ -40,4 +48,31 @@ describe('circle', function() {
   });
 
 
+  it('should flatten to a tolerance regardless of size', function() {
+    SVGtoWKT.TOLERANCE = 0.1;
+    var small = T.countPoints(SVGtoWKT.circle(0, 0, 1));
+    var large = T.countPoints(SVGtoWKT.circle(0, 0, 1000));
+    expect(small).toBeGreaterThan(4);
+    expect(large).toBeLessThan(1000);
+    expect(SVGtoWKT.circle(0, 0, 1)).toEqual(
+      'POLYGON(('+
+        '1 0,0.707 -0.707,0 -1,-0.707 -0.707,'+
+        '-1 0,-0.707 0.707,0 1,0.707 0.707,1 0'+
+      '))'
+    );
+  });
+
+
+  it('should leave out circles with a zero radius', function() {
+    expect(SVGtoWKT.circle(0, 0, 0)).toEqual('POLYGON EMPTY');
+    var result = SVGtoWKT.parse(
+      '<svg><circle id="c" r="0" /><circle r="1" /></svg>'
+    );
+    expect(result.geometries.length).toEqual(1);
+    expect(result.warnings[0].reason).toEqual(
+      'Zero `r="0"` disables rendering.'
+    );
+  });
+
+
 });
@@ -0,0 +1,111 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('clip', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  var clip = function(shapes, clipPath) {
+    return SVGtoWKT.parse(
+      '<svg><defs><clipPath id="c">' + clipPath + '</clipPath></defs>' +
+        shapes +
+      '</svg>',
+      {clip: true}
+    );
+  };
+
+
+  it('should only clip with the `clip` option', function() {
+    expect(SVGtoWKT.parse(
+      '<svg><clipPath id="c"><rect width="1" height="1" /></clipPath>' +
+        '<line x2="10" clip-path="url(#c)" />' +
+      '</svg>'
+    ).wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(0 0,10 0))');
+  });
+
+
+  it('should clip polygons', function() {
+    expect(clip(
+      '<rect x="5" y="5" width="10" height="10" clip-path="url(#c)" />',
+      '<rect width="10" height="10" />'
+    ).wkt).toEqual('GEOMETRYCOLLECTION(POLYGON((10 -5,5 -5,5 -10,10 -10,10 -5)))');
+  });
+
+
+  it('should split polygons and keep holes', function() {
+    expect(clip(
+      '<path d="M0 4h20v2h-20z" clip-path="url(#c)" />',
+      '<path d="M2 0h10v10h-10zM4 2v6h6v-6z" />'
+    ).wkt).toEqual(
+      'GEOMETRYCOLLECTION(MULTIPOLYGON(' +
+        '((2 -6,4 -6,4 -4,2 -4,2 -6)),((10 -6,12 -6,12 -4,10 -4,10 -6))' +
+      '))'
+    );
+    expect(clip(
+      '<path d="M0 0h10v10h-10zM3 3v4h4v-4z" clip-path="url(#c)" />',
+      '<rect width="20" height="20" />'
+    ).wkt).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON(' +
+        '(0 0,0 -10,10 -10,10 0,0 0),(3 -3,7 -3,7 -7,3 -7,3 -3)' +
+      '))'
+    );
+  });
+
+
+  it('should clip lines', function() {
+    expect(clip(
+      '<polyline points="-5 5 15 5 15 20" clip-path="url(#c)" />',
+      '<rect width="10" height="10" />'
+    ).wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(0 -5,10 -5))');
+  });
+
+
+  it('should leave empty geometries for shapes outside', function() {
+    expect(clip(
+      '<rect x="20" width="1" height="1" clip-path="url(#c)" />' +
+      '<line x1="20" x2="30" clip-path="url(#c)" />',
+      '<rect width="10" height="10" />'
+    ).wkt).toEqual('GEOMETRYCOLLECTION(POLYGON EMPTY,LINESTRING EMPTY)');
+  });
+
+
+  it('should draw the clip path in the user space of the element', function() {
+    expect(clip(
+      '<g transform="translate(2 0)" clip-path="url(#c)">' +
+        '<line x1="-5" x2="10" transform="translate(0 1)" />' +
+      '</g>',
+      '<rect width="5" height="5" />'
+    ).wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(2 -1,7 -1))');
+  });
+
+
+  it('should follow `clip-rule`', function() {
+    expect(clip(
+      '<rect x="-1" y="4" width="12" height="2" clip-path="url(#c)" />',
+      '<path clip-rule="evenodd" d="M0 0h10v10h-10zM2 2h6v6h-6z" />'
+    ).geometries[0].wkt).toEqual(
+      'MULTIPOLYGON(((0 -6,2 -6,2 -4,0 -4,0 -6)),((8 -6,10 -6,10 -4,8 -4,8 -6)))'
+    );
+  });
+
+
+  it('should report invalid references', function() {
+    var result = clip(
+      '<line x2="10" clip-path="url(#none)" />',
+      '<rect width="1" height="1" />'
+    );
+    expect(result.wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(0 0,10 0))');
+    expect(result.warnings[0].reason).toEqual(
+      'Invalid `clip-path="url(#none)"`.'
+    );
+  });
+
+
+});
@@ -29,8 +29,19 @@ describe('convert', function() {
   });
 
 
+  it('should return JSON with `detail`, `spaces` and `strings`', function() {
+    expect(JSON.parse(SVGtoWKT.convert(
+      '<svg><line id="l" x1="1" y1="2" x2="3" y2="4" /></svg>'
+    ))).toEqual({
+      detail: 'GEOMETRYCOLLECTION(LINESTRING(1 -2,3 -4))',
+      spaces: [{id: 'l', space: 'LINESTRING(1 -2,3 -4)'}],
+      strings: []
+    });
+  });
+
+
   it('should parse a <polygon>', function() {
-    expect(SVGtoWKT.convert(
+    expect(T.detail(
       '<svg><polygon points="1,2 3,4 5,6" /></svg>'
     )).toEqual(
       'GEOMETRYCOLLECTION(POLYGON((1 -2,3 -4,5 -6,1 -2)))'
@@ -39,7 +50,7 @@ describe('convert', function() {
 
 
   it('should parse a <polyline>', function() {
-    expect(SVGtoWKT.convert(
+    expect(T.detail(
       '<svg><polyline points="1,2 3,4 5,6" /></svg>'
     )).toEqual(
       'GEOMETRYCOLLECTION(LINESTRING(1 -2,3 -4,5 -6))'
@@ -48,7 +59,7 @@ describe('convert', function() {
 
 
   it('should parse a <line>', function() {
-    expect(SVGtoWKT.convert(
+    expect(T.detail(
       '<svg><line x1="1" y1="2" x2="3" y2="4" /></svg>'
     )).toEqual(
       'GEOMETRYCOLLECTION(LINESTRING(1 -2,3 -4))'
@@ -57,7 +68,7 @@ describe('convert', function() {
 
 
   it('should parse a <rect>', function() {
-    expect(SVGtoWKT.convert(
+    expect(T.detail(
       '<svg><rect x="0" y="0" width="1" height="1" /></svg>'
     )).toEqual(
       'GEOMETRYCOLLECTION(POLYGON((0 0,1 0,1 -1,0 -1,0 0)))'
@@ -67,7 +78,7 @@ describe('convert', function() {
 
   it('should parse a <circle>', function() {
     SVGtoWKT.PRECISION = 1;
-    expect(SVGtoWKT.convert(
+    expect(T.detail(
       '<svg><circle cx="0" cy="0" r="1.2" /></svg>'
     )).toEqual(
       'GEOMETRYCOLLECTION(POLYGON(('+
@@ -87,7 +98,7 @@ describe('convert', function() {
 
   it('should parse a <ellipse>', function() {
     SVGtoWKT.PRECISION = 1;
-    expect(SVGtoWKT.convert(
+    expect(T.detail(
       '<svg><ellipse cx="0" cy="0" rx="1" ry="1.6" /></svg>'
     )).toEqual(
       'GEOMETRYCOLLECTION(POLYGON(('+
@@ -106,7 +117,7 @@ describe('convert', function() {
 
 
   it('should parse a <path>', function() {
-    expect(SVGtoWKT.convert(
+    expect(T.detail(
       '<svg><path d="M0 0L0 1L1 1L1 2" /></svg>'
     )).toEqual(
       'GEOMETRYCOLLECTION(LINESTRING(0 0,0 -1,1 -1,1 -2))'
@@ -115,7 +126,7 @@ describe('convert', function() {
 
 
   it('should parse multiple elements', function() {
-    expect(SVGtoWKT.convert(
+    expect(T.detail(
       '<svg>'+
         '<polygon points="1,2 3,4 5,6" />'+
         '<polyline points="1,2 3,4 5,6" />'+
@@ -129,4 +140,118 @@ describe('convert', function() {
   });
 
 
+  it('should apply `transform` attributes of elements and groups', function() {
+    expect(T.detail(
+      '<svg><g transform="translate(10,20)">'+
+        '<line x1="0" y1="0" x2="1" y2="1" transform="scale(2)" />'+
+      '</g></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(10 -20,12 -22))'
+    );
+  });
+
+
+  it('should map nested <svg> viewports', function() {
+    expect(T.detail(
+      '<svg><svg x="10" y="10" width="20" height="20" viewBox="0 0 10 10">'+
+        '<rect x="0" y="0" width="10" height="10" />'+
+      '</svg></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON((10 -10,30 -10,30 -30,10 -30,10 -10)))'
+    );
+  });
+
+
+  it('should keep circles circular under similarity transforms', function() {
+    SVGtoWKT.CURVES = true;
+    expect(T.detail(
+      '<svg><g transform="rotate(90)"><circle cx="1" cy="0" r="1" /></g></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(CURVEPOLYGON(CIRCULARSTRING('+
+        '0 -2,-1 -1,0 0,1 -1,0 -2'+
+      ')))'
+    );
+  });
+
+
+  it('should linearize circles under non-uniform scaling', function() {
+    SVGtoWKT.CURVES = true;
+    expect(T.detail(
+      '<svg><circle cx="0" cy="0" r="1" transform="scale(2 1)" /></svg>'
+    )).toMatch(/^GEOMETRYCOLLECTION\(POLYGON\(\(2 0,.*,2 0\)\)\)$/);
+  });
+
+
+  it('should linearize circular arcs under skew transforms', function() {
+    SVGtoWKT.CURVES = true;
+    expect(T.detail(
+      '<svg><path d="M0 0A5 5 0 0 0 10 0" transform="skewX(30)" /></svg>'
+    )).not.toContain('CIRCULARSTRING');
+  });
+
+
+  it('should default missing <rect> coordinates to 0', function() {
+    expect(T.detail(
+      '<svg><rect width="2" height="1" /></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON((0 0,2 0,2 -1,0 -1,0 0)))'
+    );
+  });
+
+
+  it('should resolve absolute and font-relative length units', function() {
+    expect(T.detail(
+      '<svg><g font-size="10">'+
+        '<line x1="1em" y1="2ex" x2="12pt" y2="1in" font-size="2em" />'+
+      '</g></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(20 -20,16 -96))'
+    );
+    expect(T.detail(
+      '<svg><rect width="2.54cm" height="25.4mm" /></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON((0 0,96 0,96 -96,0 -96,0 0)))'
+    );
+  });
+
+
+  it('should resolve percentages against the viewport', function() {
+    expect(T.detail(
+      '<svg width="200" height="100">'+
+        '<rect x="10%" y="10%" width="50%" height="50%" />'+
+      '</svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON((20 -10,120 -10,120 -60,20 -60,20 -10)))'
+    );
+  });
+
+
+  it('should keep arcs that are circular after transforms', function() {
+    SVGtoWKT.CURVES = true;
+    expect(T.detail(
+      '<svg><path d="M0 0A10 5 0 0 1 20 0" transform="scale(1 2)" /></svg>'
+    )).toMatch(/^GEOMETRYCOLLECTION\(COMPOUNDCURVE\(CIRCULARSTRING\(/);
+    expect(T.detail(
+      '<svg><ellipse rx="10" ry="5" transform="scale(1 2)" /></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(CURVEPOLYGON(CIRCULARSTRING('+
+        '10 0,0 -10,-10 0,0 10,10 0'+
+      ')))'
+    );
+  });
+
+
+  it('should read the inherited `fill-rule` of paths', function() {
+    expect(T.detail(
+      '<svg><g fill-rule="evenodd">'+
+        '<path d="M0 0L0 3L3 3L3 0ZM1 1L1 2L2 2L2 1Z" />'+
+      '</g></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION('+
+        'POLYGON((0 0,0 -3,3 -3,3 0,0 0),(1 -1,2 -1,2 -2,1 -2,1 -1))'+
+      ')'
+    );
+  });
+
+
 });
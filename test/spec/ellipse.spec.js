@@ -40,4 +40,32 @@ describe('ellipse', function() {
   });
 
 
+  it('should add points where the curvature is high', function() {
+    SVGtoWKT.TOLERANCE = 0.1;
+    var pts = SVGtoWKT.ellipse(0, 0, 100, 2)
+      .match(/\(\((.*)\)\)/)[1].split(',')
+      .map(function(pt) { return parseFloat(pt); });
+    // More points near the ends of the major axis than near its middle.
+    var ends = pts.filter(function(x) { return Math.abs(x) > 90; });
+    var middle = pts.filter(function(x) { return Math.abs(x) < 10; });
+    expect(ends.length).toBeGreaterThan(middle.length);
+  });
+
+
+  it('should leave out ellipses with a zero radius', function() {
+    expect(SVGtoWKT.ellipse(0, 0, 5, 0)).toEqual('POLYGON EMPTY');
+    expect(SVGtoWKT.ellipse(0, 0, 0, 5)).toEqual('POLYGON EMPTY');
+    var result = SVGtoWKT.parse(
+      '<svg><ellipse rx="0" ry="2" /><ellipse rx="2" ry="0" /></svg>'
+    );
+    expect(result.geometries).toEqual([]);
+    expect(result.warnings.map(function(warning) {
+      return warning.reason;
+    })).toEqual([
+      'Zero `rx="0"` disables rendering.',
+      'Zero `ry="0"` disables rendering.'
+    ]);
+  });
+
+
 });
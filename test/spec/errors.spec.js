@@ -0,0 +1,154 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('errors', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  var reasons = function(result) {
+    return result.warnings.map(function(warning) { return warning.reason; });
+  };
+
+
+  it('should throw a SVGError with the location of malformed XML', function() {
+    var error;
+    try {
+      SVGtoWKT.parse('<svg>\n  <g>\n    <rect />\n  </svg>');
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof SVGtoWKT.SVGError).toBe(true);
+    expect(error instanceof Error).toBe(true);
+    expect(error.reason).toEqual('`</svg>` does not close `<g>`');
+    expect(error.line).toEqual(4);
+    expect(error.column).toEqual(3);
+  });
+
+
+  it('should reject unclosed elements and stray content', function() {
+    [
+      '<invalid>', '<svg><g></svg>', '<svg/><svg/>', 'svg', '<svg><a b></svg>'
+    ].forEach(function(svg) {
+      expect(function() {
+        SVGtoWKT.parse(svg);
+      }).toThrowError(SVGtoWKT.SVGError);
+    });
+  });
+
+
+  it('should read line breaks in attributes as spaces', function() {
+    var result = SVGtoWKT.parse('<svg>\n<polyline points="1,2\n3,4" /></svg>');
+    expect(result.wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(1 -2,3 -4))');
+    expect(result.geometries[0].element.line).toEqual(2);
+  });
+
+
+  it('should convert the rest of the document around bad elements', function() {
+    var result = SVGtoWKT.parse(
+      '<svg>' +
+        '<circle id="c" cx="1" cy="2" />' +
+        '<line x1="1" y1="2" x2="3" y2="4" />' +
+      '</svg>'
+    );
+    expect(result.wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(1 -2,3 -4))');
+    expect(result.spaces).toEqual([]);
+    expect(result.warnings.length).toEqual(1);
+    expect(result.warnings[0].tag).toEqual('circle');
+    expect(result.warnings[0].id).toEqual('c');
+    expect(result.warnings[0].reason).toEqual('Missing `r`.');
+    expect(result.warnings[0].line).toEqual(1);
+    expect(result.warnings[0].column).toEqual(6);
+  });
+
+
+  it('should keep path data up to the first error', function() {
+    var result = SVGtoWKT.parse('<svg><path d="M0 0L1 0L1 1x" /></svg>');
+    expect(result.wkt).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,1 0,1 -1))'
+    );
+    expect(reasons(result)).toEqual([
+      'Unexpected `x` at character 13 of the path data.'
+    ]);
+  });
+
+
+  it('should keep points up to the first error', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><polyline points="1,2 3,4 5" /><polygon points="1 2 3 a" /></svg>'
+    );
+    expect(result.geometries.length).toEqual(2);
+    expect(reasons(result)).toEqual([
+      'Odd number of coordinates in `points`.',
+      'Invalid `points`: Unexpected `a` after 3 numbers.',
+      'Odd number of coordinates in `points`.'
+    ]);
+  });
+
+
+  it('should ignore invalid transforms', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><line x2="1" y2="1" transform="scale(1 2 3)" /></svg>'
+    );
+    expect(result.wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(0 0,1 -1))');
+    expect(reasons(result)).toEqual([
+      'Invalid arguments for `scale` in transform `scale(1 2 3)`.'
+    ]);
+  });
+
+
+  it('should leave out elements with invalid lengths', function() {
+    var result = SVGtoWKT.parse(
+      '<svg>' +
+        '<rect width="1" height="-1" />' +
+        '<ellipse rx="1" ry="2px3" />' +
+        '<rect x="-1" y="-1" width="1" height="1" rx="auto" />' +
+      '</svg>'
+    );
+    expect(result.geometries.length).toEqual(1);
+    expect(reasons(result)).toEqual([
+      'Negative `height="-1"`.',
+      'Invalid length `ry="2px3"`.'
+    ]);
+  });
+
+
+  it('should report warnings in JSON only when there are any', function() {
+    var json = JSON.parse(SVGtoWKT.convert('<svg><path id="p" /></svg>'));
+    expect(json.warnings).toEqual([{
+      tag: 'path', id: 'p', reason: 'Missing `d`.', line: 1, column: 6
+    }]);
+    expect(JSON.parse(SVGtoWKT.convert('<svg />')).warnings).toBeUndefined();
+  });
+
+
+  it('should throw the first error in document order when strict', function() {
+    var svg = '<svg>\n<circle />\n<path d="M0 0L" /></svg>';
+    expect(function() {
+      SVGtoWKT.parse(svg, {strict: true});
+    }).toThrowError(
+      SVGtoWKT.SVGError,
+      'Invalid <circle> at line 2, column 1: Missing `r`.'
+    );
+
+    var error;
+    try {
+      SVGtoWKT.convert('<svg><path id="p" d="M0 0L" /></svg>', {strict: true});
+    } catch (e) {
+      error = e;
+    }
+    expect(error.tag).toEqual('path');
+    expect(error.id).toEqual('p');
+    expect(error.reason).toEqual(
+      'Missing arguments for `L` at the end of the path data.'
+    );
+  });
+
+
+});
@@ -0,0 +1,106 @@
+
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('geojson', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should convert a POLYGON', function() {
+    expect(SVGtoWKT.toGeoJSON(SVGtoWKT.polygon('1,2 3,4 5,6'))).toEqual({
+      type: 'Polygon',
+      coordinates: [[[1, -2], [3, -4], [5, -6], [1, -2]]]
+    });
+  });
+
+
+  it('should convert a LINESTRING', function() {
+    expect(SVGtoWKT.toGeoJSON(SVGtoWKT.line(1, 2, 3, 4))).toEqual({
+      type: 'LineString',
+      coordinates: [[1, -2], [3, -4]]
+    });
+  });
+
+
+  it('should convert a MULTILINESTRING', function() {
+    expect(SVGtoWKT.toGeoJSON(SVGtoWKT.path('M0 0L1 1M2 2L3 3'))).toEqual({
+      type: 'MultiLineString',
+      coordinates: [[[0, 0], [1, -1]], [[2, -2], [3, -3]]]
+    });
+  });
+
+
+  it('should interpolate circular arcs', function() {
+    var geometry = SVGtoWKT.toGeoJSON('CIRCULARSTRING(0 0,5 5,10 0)');
+    expect(geometry.type).toEqual('LineString');
+    expect(geometry.coordinates[0]).toEqual([0, 0]);
+    expect(geometry.coordinates[geometry.coordinates.length - 1]).toEqual([10, 0]);
+    expect(geometry.coordinates.length).toBeGreaterThan(3);
+  });
+
+
+  it('should interpolate arcs at `DENSITY`', function() {
+    var wkt = 'CIRCULARSTRING(0 0,5 5,10 0)';
+    var c1 = SVGtoWKT.toGeoJSON(wkt).coordinates.length;
+    SVGtoWKT.DENSITY = 2;
+    var c2 = SVGtoWKT.toGeoJSON(wkt).coordinates.length;
+    expect(c2).toBeGreaterThan(c1);
+  });
+
+
+  it('should convert a CURVEPOLYGON to a closed Polygon', function() {
+    var ring = SVGtoWKT.toGeoJSON(
+      SVGtoWKT.path('M0 0A5 5 0 0 0 10 0L10 10Z')
+    ).coordinates[0];
+    expect(ring[0]).toEqual([0, 0]);
+    expect(ring[ring.length - 1]).toEqual([0, 0]);
+    expect(ring).toContain([10, -10]);
+  });
+
+
+  it('should return null for elements without geometry', function() {
+    expect(SVGtoWKT.toGeoJSON('EMPTY')).toBeNull();
+    expect(SVGtoWKT.toGeoJSON(SVGtoWKT.parse('<svg/>').wkt)).toEqual({
+      type: 'GeometryCollection', geometries: []
+    });
+  });
+
+
+  it('should throw an error for invalid WKT', function() {
+    expect(function() { SVGtoWKT.toGeoJSON('POLYGON((1 2'); }).toThrow();
+  });
+
+
+  it('should create Features for elements with an `id`', function() {
+    expect(SVGtoWKT.geojson(
+      '<svg><line id="l" title="Wall" x1="1" y1="2" x2="3" y2="4" /></svg>'
+    )).toEqual({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        id: 'l',
+        geometry: {type: 'LineString', coordinates: [[1, -2], [3, -4]]},
+        properties: {id: 'l', title: 'Wall'}
+      }]
+    });
+  });
+
+
+  it('should create Features for <text> elements', function() {
+    var feature = SVGtoWKT.geojson(
+      '<svg><text x="1" y="2" font-family="serif">Hall</text></svg>'
+    ).features[0];
+    expect(feature.geometry.type).toEqual('LineString');
+    expect(feature.properties.text).toEqual('Hall');
+    expect(feature.properties.fontFamily).toEqual('serif');
+  });
+
+
+});
@@ -0,0 +1,97 @@
+
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('georeference', function() {
+
+
+  // SVG pixels to world units: 2 units per pixel, origin at 100,200, Y up.
+  var controlPoints = [
+    {svg: [0, 0], world: [100, 200]},
+    {svg: [10, 0], world: [120, 200]},
+    {svg: [0, 10], world: [100, 180]},
+    {svg: [10, 10], world: [120, 180]}
+  ];
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should fit an affine transform to control points', function() {
+    var m = SVGtoWKT.fitGeoreference(controlPoints);
+    expect(m.map(Math.round)).toEqual([2, 0, 0, -2, 100, 200]);
+  });
+
+
+  it('should fit a similarity transform with a reflection', function() {
+    var m = SVGtoWKT.fitGeoreference(controlPoints.slice(0, 2).concat([
+      {svg: [0, 10], world: [100, 180]}
+    ]), 'similarity');
+    expect(m.map(Math.round)).toEqual([2, 0, 0, -2, 100, 200]);
+  });
+
+
+  it('should require enough control points', function() {
+    expect(function() {
+      SVGtoWKT.fitGeoreference(controlPoints.slice(0, 2));
+    }).toThrow();
+    expect(function() {
+      SVGtoWKT.fitGeoreference(controlPoints.slice(0, 1), 'similarity');
+    }).toThrow();
+  });
+
+
+  it('should apply `GEOREFERENCE` in shape methods', function() {
+    SVGtoWKT.GEOREFERENCE = [2, 0, 0, -2, 100, 200];
+    expect(SVGtoWKT.line(0, 0, 10, 10)).toEqual(
+      'LINESTRING(100 200,120 180)'
+    );
+  });
+
+
+  it('should apply `GEOREFERENCE` after element transforms', function() {
+    SVGtoWKT.GEOREFERENCE = [2, 0, 0, -2, 100, 200];
+    expect(T.detail(
+      '<svg><g transform="translate(1 1)"><line x1="0" y1="0" x2="1" y2="0" /></g></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(102 198,104 198))'
+    );
+  });
+
+
+  it('should apply `GEOREFERENCE` to text paths', function() {
+    SVGtoWKT.GEOREFERENCE = [1, 0, 0, 1, 5, 5];
+    var json = JSON.parse(SVGtoWKT.convert(
+      '<svg><text x="1" y="2">a</text></svg>'
+    ));
+    expect(json.strings[0].path).toMatch(/^LINESTRING\(6 7,/);
+  });
+
+
+  it('should write EWKT when `SRID` is set', function() {
+    SVGtoWKT.SRID = 4326;
+    expect(SVGtoWKT.line(1, 2, 3, 4)).toEqual(
+      'SRID=4326;LINESTRING(1 -2,3 -4)'
+    );
+    expect(SVGtoWKT.parse(
+      '<svg><line x1="1" y1="2" x2="3" y2="4" /></svg>'
+    ).wkt).toEqual(
+      'SRID=4326;GEOMETRYCOLLECTION(LINESTRING(1 -2,3 -4))'
+    );
+  });
+
+
+  it('should carry the EWKT SRID into EWKB', function() {
+    SVGtoWKT.SRID = 4326;
+    expect(SVGtoWKT.toWKB(SVGtoWKT.line(1, 2, 3, 4), {hex: true})).toEqual(
+      SVGtoWKT.toWKB('LINESTRING(1 -2,3 -4)', {hex: true, srid: 4326})
+    );
+  });
+
+
+});
@@ -0,0 +1,82 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('options', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should apply the settings of a call to that call only', function() {
+    expect(SVGtoWKT.circle(0, 0, 1, {density: 0.5, precision: 2})).toEqual(
+      'POLYGON((1 0,-0.5 -0.87,-0.5 0.87,1 0))'
+    );
+    expect(SVGtoWKT.line(1, 2, 3, 4, {flipY: false, srid: 4326})).toEqual(
+      'SRID=4326;LINESTRING(1 2,3 4)'
+    );
+    expect(SVGtoWKT.rect(0, 0, 4, 4, 1, 1, {curves: true})).toMatch(
+      /^CURVEPOLYGON/
+    );
+    expect(SVGtoWKT.DENSITY).toEqual(1);
+    expect(SVGtoWKT.line(1, 2, 3, 4)).toEqual('LINESTRING(1 -2,3 -4)');
+  });
+
+
+  it('should pass the settings of `convert` to every geometry', function() {
+    var json = JSON.parse(SVGtoWKT.convert(
+      '<svg><circle id="c" r="1" /><text>a</text></svg>',
+      {curves: true, georeference: [1, 0, 0, 1, 10, 20]}
+    ));
+    expect(json.detail).toMatch(/^GEOMETRYCOLLECTION\(CURVEPOLYGON\(/);
+    expect(json.strings[0].anchor).toEqual('POINT(10 20)');
+    expect(SVGtoWKT.CURVES).toBe(false);
+    expect(SVGtoWKT.GEOREFERENCE).toBeNull();
+  });
+
+
+  it('should create converters with their own settings', function() {
+    SVGtoWKT.PRECISION = 5;
+    var coarse = SVGtoWKT.create({precision: 1, flipY: false});
+    var plain = SVGtoWKT.create();
+
+    expect(coarse.PRECISION).toEqual(1);
+    expect(plain.PRECISION).toEqual(3);
+    expect(coarse.line(0.123, 0, 1, 1)).toEqual('LINESTRING(0.1 0,1 1)');
+    expect(JSON.parse(coarse.convert(
+      '<svg><line x1="0.123" x2="1" y2="1" /></svg>'
+    )).detail).toEqual('GEOMETRYCOLLECTION(LINESTRING(0.1 0,1 1))');
+
+    plain.PRECISION = 0;
+    expect(plain.line(0.123, 0, 1, 1)).toEqual('LINESTRING(0 0,1 -1)');
+    expect(coarse.line(0.123, 0, 1, 1, {precision: 2})).toEqual(
+      'LINESTRING(0.12 0,1 1)'
+    );
+    expect(SVGtoWKT.line(0.123456, 0, 1, 1)).toEqual(
+      'LINESTRING(0.12346 0,1 -1)'
+    );
+  });
+
+
+  it('should restore the settings when a call throws', function() {
+    var converter = SVGtoWKT.create({srid: 4326});
+    expect(function() {
+      converter.parse('<svg>');
+    }).toThrowError(converter.SVGError);
+    expect(SVGtoWKT.line(1, 2, 3, 4)).toEqual('LINESTRING(1 -2,3 -4)');
+  });
+
+
+  it('should not leak helpers into the global scope', function() {
+    expect(typeof __getText).toEqual('undefined');
+    expect(typeof __createWKT).toEqual('undefined');
+    expect(typeof __getXml).toEqual('undefined');
+    expect(typeof response).toEqual('undefined');
+  });
+
+
+});
@@ -0,0 +1,87 @@
+
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('orientation', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should keep SVG Y-down coordinates without `FLIP_Y`', function() {
+    SVGtoWKT.FLIP_Y = false;
+    expect(SVGtoWKT.line(1, 2, 3, 4)).toEqual('LINESTRING(1 2,3 4)');
+    expect(SVGtoWKT.rect(1, 2, 3, 4)).toEqual(
+      'POLYGON((1 2,4 2,4 6,1 6,1 2))'
+    );
+    expect(SVGtoWKT.path('M0 0L0 1L1 1L1 2')).toEqual(
+      'LINESTRING(0 0,0 1,1 1,1 2)'
+    );
+  });
+
+
+  it('should apply `FLIP_Y` to interpolated curves', function() {
+    SVGtoWKT.FLIP_Y = false;
+    SVGtoWKT.PRECISION = 1;
+    expect(SVGtoWKT.ellipse(0, 0, 1, 1.6)).toEqual(
+      'POLYGON(('+
+        '1 0,'+
+        '0.7 1.1,'+
+        '0 1.6,'+
+        '-0.7 1.1,'+
+        '-1 0,'+
+        '-0.7 -1.1,'+
+        '0 -1.6,'+
+        '0.7 -1.1,'+
+        '1 0'+
+      '))'
+    );
+  });
+
+
+  it('should place the origin at the bottom left of the viewBox', function() {
+    SVGtoWKT.ORIGIN = 'bottom-left';
+    expect(T.detail(
+      '<svg viewBox="10 20 100 50"><line x1="10" y1="70" x2="110" y2="20" /></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,100 50))'
+    );
+  });
+
+
+  it('should place the origin at the top left of the viewBox', function() {
+    SVGtoWKT.ORIGIN = 'top-left';
+    SVGtoWKT.FLIP_Y = false;
+    expect(T.detail(
+      '<svg viewBox="10 20 100 50"><line x1="10" y1="70" x2="110" y2="20" /></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 50,100 0))'
+    );
+  });
+
+
+  it('should fall back to the viewport without a viewBox', function() {
+    SVGtoWKT.ORIGIN = 'bottom-left';
+    expect(T.detail(
+      '<svg width="100" height="50"><line x1="0" y1="50" x2="100" y2="0" /></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,100 50))'
+    );
+  });
+
+
+  it('should move <text> paths with the origin', function() {
+    SVGtoWKT.ORIGIN = 'bottom-left';
+    var json = JSON.parse(SVGtoWKT.convert(
+      '<svg viewBox="0 0 100 50"><text x="1" y="40">a</text></svg>'
+    ));
+    expect(json.strings[0].path).toMatch(/^LINESTRING\(1 10,/);
+  });
+
+
+});
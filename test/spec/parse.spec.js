@@ -0,0 +1,157 @@
+
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('parse', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should throw an error for empty XML', function() {
+    expect(function() { SVGtoWKT.parse(''); }).toThrow();
+  });
+
+
+  it('should return a GEOMETRYCOLLECTION of all shapes', function() {
+    expect(SVGtoWKT.parse(
+      '<svg><polygon points="1,2 3,4 5,6" /><line x1="7" y1="8" x2="9" y2="10" /></svg>'
+    ).wkt).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON((1 -2,3 -4,5 -6,1 -2)),LINESTRING(7 -8,9 -10))'
+    );
+  });
+
+
+  it('should describe the source element of each geometry', function() {
+    var geometry = SVGtoWKT.parse(
+      '<svg><rect id="r" class="room" x="1" y="2" width="3" height="4" /></svg>'
+    ).geometries[0];
+    expect(geometry.tag).toEqual('rect');
+    expect(geometry.id).toEqual('r');
+    expect(geometry.attributes.class).toEqual('room');
+    expect(geometry.element.nodeName).toEqual('rect');
+    expect(geometry.wkt).toEqual('POLYGON((1 -2,4 -2,4 -6,1 -6,1 -2))');
+  });
+
+
+  it('should compute bounding boxes in WKT space', function() {
+    expect(SVGtoWKT.parse(
+      '<svg><rect x="1" y="2" width="3" height="4" /></svg>'
+    ).geometries[0].bbox).toEqual({minX: 1, minY: -6, maxX: 4, maxY: -2});
+  });
+
+
+  it('should include the extremes of circular arcs in bounding boxes', function() {
+    expect(SVGtoWKT.parse(
+      '<svg><path d="M0 0A5 5 0 0 0 10 0" /></svg>'
+    ).geometries[0].bbox).toEqual({minX: 0, minY: -5, maxX: 10, maxY: 0});
+  });
+
+
+  it('should list elements with an `id` as spaces', function() {
+    var spaces = SVGtoWKT.parse(
+      '<svg><line id="a" title="A" x1="1" y1="2" x2="3" y2="4" /></svg>'
+    ).spaces;
+    expect(spaces.length).toEqual(1);
+    expect(spaces[0].title).toEqual('A');
+    expect(spaces[0].wkt).toEqual('LINESTRING(1 -2,3 -4)');
+  });
+
+
+  it('should share records between geometries and spaces', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><line x2="1" /><line id="a" x2="2" /></svg>'
+    );
+    expect(result.geometries.length).toEqual(2);
+    expect(result.spaces[0] === result.geometries[1]).toBe(true);
+  });
+
+
+  it('should collect the shapes of a group with an `id`', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><g id="g" transform="translate(1 0)">' +
+        '<line x2="1" /><g><rect width="1" height="1" /></g>' +
+      '</g></svg>'
+    );
+    var group = result.spaces[0];
+    expect(result.spaces.length).toEqual(1);
+    expect(group.tag).toEqual('g');
+    expect(group.wkt).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(1 0,2 0),POLYGON((1 0,2 0,2 -1,1 -1,1 0)))'
+    );
+    expect(group.members.length).toEqual(2);
+    expect(group.members[1] === result.geometries[1]).toBe(true);
+    expect(group.bbox).toEqual({minX: 1, minY: -1, maxX: 2, maxY: 0});
+  });
+
+
+  it('should skip elements with an `id` but no geometry', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><defs id="d"><linearGradient id="l" /></defs>' +
+        '<g id="g" /><text id="t">Hi</text>' +
+      '</svg>'
+    );
+    expect(result.spaces.length).toEqual(1);
+    expect(result.spaces[0].wkt).toEqual('GEOMETRYCOLLECTION EMPTY');
+  });
+
+
+  it('should write documents and groups without shapes as EMPTY', function() {
+    expect(SVGtoWKT.parse('<svg></svg>').wkt).toEqual(
+      'GEOMETRYCOLLECTION EMPTY'
+    );
+    expect(SVGtoWKT.parse('<svg><text>Hi</text></svg>').wkt).toEqual(
+      'GEOMETRYCOLLECTION EMPTY'
+    );
+    var result = SVGtoWKT.parse('<svg><g id="g"><g /></g></svg>');
+    expect(result.spaces[0].wkt).toEqual('GEOMETRYCOLLECTION EMPTY');
+    expect(SVGtoWKT.readWKT(result.wkt)).toEqual({
+      type: 'GEOMETRYCOLLECTION', parts: []
+    });
+  });
+
+
+  it('should list geometries in document order', function() {
+    expect(SVGtoWKT.parse(
+      '<svg><line x2="1" /><rect width="1" height="1" /><line x2="2" /></svg>'
+    ).wkt).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,1 0),' +
+        'POLYGON((0 0,1 0,1 -1,0 -1,0 0)),LINESTRING(0 0,2 0))'
+    );
+  });
+
+
+  it('should skip hidden elements with `visible`', function() {
+    var svg =
+      '<svg>' +
+        '<line x2="1" display="none" />' +
+        '<g style="display: none"><line x2="2" /></g>' +
+        '<g visibility="hidden">' +
+          '<line x2="3" />' +
+          '<line x2="4" style="visibility: visible" />' +
+        '</g>' +
+      '</svg>';
+    expect(SVGtoWKT.parse(svg).geometries.length).toEqual(4);
+    expect(SVGtoWKT.parse(svg, {visible: true}).wkt).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,4 0))'
+    );
+  });
+
+
+  it('should list <text> elements as strings', function() {
+    var label = SVGtoWKT.parse(
+      '<svg><text x="1" y="2" font-size="10">Hi</text></svg>'
+    ).strings[0];
+    expect(label.tag).toEqual('text');
+    expect(label.text).toEqual('Hi');
+    expect(label.fontSize).toEqual('10');
+    expect(label.wkt).toMatch(/^LINESTRING\(1 -2,/);
+  });
+
+
+});
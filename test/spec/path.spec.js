@@ -35,21 +35,201 @@ describe('path', function() {
 
 
   it('should create a POLYGON with holes when multiple `z`s', function() {
+    expect(SVGtoWKT.path('M0 0L0 3L3 3L3 0ZM1 1L1 2L2 2L2 1Z', 'evenodd'))
+      .toEqual(
+        'POLYGON('+
+          '(0 0,0 -3,3 -3,3 0,0 0),'+
+          '(1 -1,2 -1,2 -2,1 -2,1 -1)'+
+        ')'
+      );
+  });
+
+
+  it('should only cut holes that reverse the winding with `nonzero`',
+    function() {
     expect(SVGtoWKT.path('M0 0L0 3L3 3L3 0ZM1 1L1 2L2 2L2 1Z')).toEqual(
-      'POLYGON('+
-        '(0 0,0 -1,0 -2,0 -3,1 -3,2 -3,3 -3,3 -2,3 -1,3 0,2 0,1 0,0 0),'+
-        '(1 -1,1 -2,2 -2,2 -1,1 -1)'+
+      'POLYGON((0 0,0 -3,3 -3,3 0,0 0))'
+    );
+    expect(SVGtoWKT.path('M0 0L0 3L3 3L3 0ZM1 1L2 1L2 2L1 2Z')).toEqual(
+      'POLYGON((0 0,0 -3,3 -3,3 0,0 0),(1 -1,2 -1,2 -2,1 -2,1 -1))'
+    );
+  });
+
+
+  it('should create a MULTIPOLYGON for separate rings', function() {
+    expect(SVGtoWKT.path('M0 0L1 0L1 1L0 1ZM5 5L6 5L6 6L5 6Z')).toEqual(
+      'MULTIPOLYGON('+
+        '((0 0,0 -1,1 -1,1 0,0 0)),'+
+        '((5 -5,5 -6,6 -6,6 -5,5 -5))'+
+      ')'
+    );
+  });
+
+
+  it('should nest islands inside holes', function() {
+    expect(SVGtoWKT.path(
+      'M0 0h10v10h-10zM2 2h6v6h-6zM4 4h2v2h-2z', 'evenodd'
+    )).toEqual(
+      'MULTIPOLYGON('+
+        '((0 0,0 -10,10 -10,10 0,0 0),(2 -2,8 -2,8 -8,2 -8,2 -2)),'+
+        '((4 -4,4 -6,6 -6,6 -4,4 -4))'+
+      ')'
+    );
+  });
+
+
+  it('should create a MULTISURFACE for separate curved rings', function() {
+    SVGtoWKT.CURVES = true;
+    expect(SVGtoWKT.path(
+      'M0 0h10v10h-10zM3 5A2 2 0 0 0 7 5A2 2 0 0 0 3 5ZM20 0h1v1h-1z',
+      'evenodd'
+    )).toEqual(
+      'MULTISURFACE('+
+        'CURVEPOLYGON('+
+          '(0 0,0 -10,10 -10,10 0,0 0),'+
+          'COMPOUNDCURVE('+
+            'CIRCULARSTRING(3 -5,5 -3,7 -5),'+
+            'CIRCULARSTRING(7 -5,5 -7,3 -5)'+
+          ')'+
+        '),'+
+        '((20 0,20 -1,21 -1,21 0,20 0))'+
       ')'
     );
   });
 
 
+  it('should resolve relative and shorthand line commands', function() {
+    expect(SVGtoWKT.path('m1 1v2h2v-2z')).toEqual(
+      'POLYGON((1 -1,1 -3,3 -3,3 -1,1 -1))'
+    );
+  });
+
+
+  it('should create a CIRCULARSTRING for circular arcs', function() {
+    SVGtoWKT.CURVES = true;
+    expect(SVGtoWKT.path('M0 0A5 5 0 0 0 10 0')).toEqual(
+      'COMPOUNDCURVE(CIRCULARSTRING(0 0,5 -5,10 0))'
+    );
+  });
+
+
+  it('should write several open subpaths as one geometry', function() {
+    expect(SVGtoWKT.path('M0 0L10 0M20 0L30 0')).toEqual(
+      'MULTILINESTRING((0 0,10 0),(20 0,30 0))'
+    );
+    SVGtoWKT.CURVES = true;
+    expect(SVGtoWKT.path('M0 0L10 0M20 0A5 5 0 0 1 30 0')).toEqual(
+      'MULTICURVE((0 0,10 0),COMPOUNDCURVE(CIRCULARSTRING(20 0,25 5,30 0)))'
+    );
+    expect(function() {
+      SVGtoWKT.readWKT('LINESTRING(0 0,10 0),LINESTRING(20 0,30 0)');
+    }).toThrowError('Invalid WKT.');
+  });
+
+
+  it('should keep open subpaths next to closed ones', function() {
+    expect(SVGtoWKT.path('M0 0L10 0L10 10Z M20 20L30 30')).toEqual(
+      'GEOMETRYCOLLECTION(' +
+        'POLYGON((0 0,10 -10,10 0,0 0)),LINESTRING(20 -20,30 -30))'
+    );
+    expect(SVGtoWKT.path('M0 0L10 0L10 10Z M20 20')).toEqual(
+      'POLYGON((0 0,10 -10,10 0,0 0))'
+    );
+  });
+
+
+  it('should close curved rings with a compound curve', function() {
+    SVGtoWKT.CURVES = true;
+    expect(SVGtoWKT.path('M0 0A5 5 0 0 0 10 0Z')).toEqual(
+      'CURVEPOLYGON(COMPOUNDCURVE(CIRCULARSTRING(0 0,5 -5,10 0),(10 0,0 0)))'
+    );
+  });
+
+
+  it('should interpolate arcs when curves are off', function() {
+    var wkt = SVGtoWKT.path('M0 0A5 5 0 0 0 10 0Z');
+    expect(wkt).toMatch(/^POLYGON\(\(0 0,.*,10 0,0 0\)\)$/);
+    expect(T.countPoints(wkt)).toBeGreaterThan(10);
+    expect(SVGtoWKT.path('M0 0A5 5 0 0 0 10 0')).toMatch(/^LINESTRING\(/);
+  });
+
+
   it('should react to different density settings', function() {
     SVGtoWKT.DENSITY = 1;
-    var c1 = T.countPoints(SVGtoWKT.path('M0 0L0 1'));
+    var c1 = T.countPoints(SVGtoWKT.path('M0 0Q5 10 10 0'));
     SVGtoWKT.DENSITY = 2;
-    var c2 = T.countPoints(SVGtoWKT.path('M0 0L0 1'));
+    var c2 = T.countPoints(SVGtoWKT.path('M0 0Q5 10 10 0'));
     expect(c2).toBeGreaterThan(c1);
+    expect(SVGtoWKT.path('M0 0L0 1')).toEqual('LINESTRING(0 0,0 -1)');
+  });
+
+
+  it('should not add points to straight curves with a tolerance', function() {
+    SVGtoWKT.TOLERANCE = 0.1;
+    expect(SVGtoWKT.path('M0 0C30 0 70 0 100 0')).toEqual(
+      'LINESTRING(0 0,100 0)'
+    );
+  });
+
+
+  it('should catch inflections centered on the chord', function() {
+    SVGtoWKT.TOLERANCE = 0.1;
+    expect(T.countPoints(SVGtoWKT.path('M0 0C0 100 100 -100 100 0')))
+      .toBeGreaterThan(10);
+  });
+
+
+  it('should cap segment lengths with `MAX_SEGMENT`', function() {
+    SVGtoWKT.MAX_SEGMENT = 25;
+    var xs = SVGtoWKT.path('M0 0C30 0 70 0 100 0')
+      .match(/\((.*)\)/)[1].split(',')
+      .map(function(pt) { return parseFloat(pt); });
+    expect(xs.length).toBeGreaterThan(4);
+    for (var i = 1; i < xs.length; i++) {
+      expect(xs[i] - xs[i - 1]).not.toBeGreaterThan(25);
+    }
+  });
+
+
+  it('should read arc flags without separators', function() {
+    SVGtoWKT.CURVES = true;
+    expect(SVGtoWKT.path('M0 0A5 5 0 0010 0')).toEqual(
+      SVGtoWKT.path('M0 0A5 5 0 0 0 10 0')
+    );
+    expect(SVGtoWKT.path('M0 0a5,5,0,0,0-10-0')).toEqual(
+      'COMPOUNDCURVE(CIRCULARSTRING(0 0,-5 5,-10 0))'
+    );
+  });
+
+
+  it('should repeat arcs for extra arguments', function() {
+    SVGtoWKT.CURVES = true;
+    expect(SVGtoWKT.path('M0 0A5 5 0 0 0 10 0 5 5 0 0 0 20 0')).toEqual(
+      'COMPOUNDCURVE('+
+        'CIRCULARSTRING(0 0,5 -5,10 0),'+
+        'CIRCULARSTRING(10 0,15 -5,20 0)'+
+      ')'
+    );
+  });
+
+
+  it('should interpolate elliptical arcs on the ellipse', function() {
+    SVGtoWKT.CURVES = true;
+    SVGtoWKT.PRECISION = 6;
+    var wkt = SVGtoWKT.path('M0 0A10 5 0 0 1 20 0');
+    expect(wkt).toMatch(/^LINESTRING\(/);
+    wkt.match(/\((.*)\)/)[1].split(',').forEach(function(pt) {
+      pt = pt.split(' ').map(parseFloat);
+      var x = (pt[0] - 10) / 10, y = pt[1] / 5;
+      expect(Math.abs(x * x + y * y - 1)).toBeLessThan(1e-5);
+    });
+  });
+
+
+  it('should rotate elliptical arcs', function() {
+    expect(SVGtoWKT.path('M0 0A10 5 90 0 1 0 20')).toEqual(
+      SVGtoWKT.path('M0 0A5 10 0 0 1 0 20')
+    );
   });
 
 
@@ -27,4 +27,13 @@ describe('polygon', function() {
   });
 
 
+  it('should write an empty or missing `points` list as EMPTY', function() {
+    expect(SVGtoWKT.polygon('')).toEqual('POLYGON EMPTY');
+    expect(SVGtoWKT.polygon()).toEqual('POLYGON EMPTY');
+    expect(T.detail('<svg><polygon points="" /></svg>')).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON EMPTY)'
+    );
+  });
+
+
 });
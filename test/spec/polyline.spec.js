@@ -27,4 +27,35 @@ describe('polyline', function() {
   });
 
 
+  it('should read any mix of whitespace and comma separators', function() {
+    var wkt = 'LINESTRING(1 -2,3 -4)';
+    expect(SVGtoWKT.polyline('1 2 3 4')).toEqual(wkt);
+    expect(SVGtoWKT.polyline('1,2,3,4')).toEqual(wkt);
+    expect(SVGtoWKT.polyline('1\t2  3 ,4')).toEqual(wkt);
+  });
+
+
+  it('should split numbers on signs, points and exponents', function() {
+    expect(SVGtoWKT.polyline('1e-3-2.5.5-1E1')).toEqual(
+      'LINESTRING(0.001 2.5,0.5 10)'
+    );
+  });
+
+
+  it('should read `points` up to an error or odd coordinate', function() {
+    expect(SVGtoWKT.polyline('1,2 3,4 x 5,6')).toEqual(
+      'LINESTRING(1 -2,3 -4)'
+    );
+    expect(SVGtoWKT.polyline('1,2 3,4 5')).toEqual(
+      'LINESTRING(1 -2,3 -4)'
+    );
+  });
+
+
+  it('should write an empty or missing `points` list as EMPTY', function() {
+    expect(SVGtoWKT.polyline('')).toEqual('LINESTRING EMPTY');
+    expect(SVGtoWKT.polyline()).toEqual('LINESTRING EMPTY');
+  });
+
+
 });
@@ -0,0 +1,78 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('precision', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should round the coordinates of every shape', function() {
+    expect(SVGtoWKT.line(0.1, 0.2, 0.1 + 0.2, -0)).toEqual(
+      'LINESTRING(0.1 -0.2,0.3 0)'
+    );
+    expect(SVGtoWKT.rect(0.1, 0.2, 0.2, 0.1)).toEqual(
+      'POLYGON((0.1 -0.2,0.3 -0.2,0.3 -0.3,0.1 -0.3,0.1 -0.2))'
+    );
+    expect(SVGtoWKT.parse(
+      '<svg><text transform="rotate(30)">ab</text></svg>'
+    ).strings[0].wkt).toEqual('LINESTRING(0 0,16.628 -9.6)');
+  });
+
+
+  it('should leave out points that round onto their neighbours', function() {
+    expect(SVGtoWKT.polyline('0,0 0.0001,0 1,0.0004 2,2')).toEqual(
+      'LINESTRING(0 0,1 0,2 -2)'
+    );
+  });
+
+
+  it('should write lines and rings that collapse as EMPTY', function() {
+    expect(SVGtoWKT.polyline('0 0 0.0001 0')).toEqual('LINESTRING EMPTY');
+    expect(SVGtoWKT.polygon('0 0 0.0001 0 0 0.0001')).toEqual(
+      'POLYGON EMPTY'
+    );
+    expect(SVGtoWKT.writeWKT(SVGtoWKT.readWKT(
+      'MULTIPOLYGON(((0 0,4 0,4 4,0 0),(1 1,1.0001 1,1 1.0001,1 1)),' +
+        '((0 0,0.0001 0,0 0.0001,0 0)))'
+    ))).toEqual('MULTIPOLYGON(((0 0,4 0,4 4,0 0)))');
+    expect(SVGtoWKT.writeWKT(SVGtoWKT.readWKT(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,0.0001 0),POINT(1 2))'
+    ))).toEqual('GEOMETRYCOLLECTION(LINESTRING EMPTY,POINT(1 2))');
+    expect(SVGtoWKT.validate(SVGtoWKT.polyline('0 0 0.0001 0')).valid)
+      .toBe(true);
+  });
+
+
+  it('should take the precision or grid of a call', function() {
+    var svg = '<svg><polyline points="0,0 1.23456,2.34567 3.1,0" /></svg>';
+    expect(SVGtoWKT.parse(svg, {precision: 1}).wkt).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,1.2 -2.3,3.1 0))'
+    );
+    expect(SVGtoWKT.parse(svg, {grid: 0.1}).wkt).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,1.2 -2.3,3.1 0))'
+    );
+    expect(SVGtoWKT.parse(svg, {grid: 0.5}).wkt).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(0 0,1 -2.5,3 0))'
+    );
+    expect(SVGtoWKT.PRECISION).toEqual(3);
+    expect(SVGtoWKT.GRID).toBeNull();
+  });
+
+
+  it('should round in writeWKT and geojson', function() {
+    expect(SVGtoWKT.writeWKT(SVGtoWKT.readWKT('POINT(1.26 -0.04)'), {
+      precision: 1
+    })).toEqual('POINT(1.3 0)');
+    expect(SVGtoWKT.geojson(
+      '<svg><line id="l" x1="0.123" x2="2" /></svg>', {precision: 2}
+    ).features[0].geometry.coordinates).toEqual([[0.12, 0], [2, 0]]);
+  });
+
+
+});
@@ -0,0 +1,143 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('properties', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should record `class`, `data-*` attributes and `<desc>`', function() {
+    var record = SVGtoWKT.parse(
+      '<svg><g data-floor="2" data-wing="east">' +
+        '<rect class="room office" data-floor="3" width="1" height="1">' +
+          '<desc>Corner office</desc>' +
+        '</rect>' +
+      '</g></svg>'
+    ).geometries[0];
+    expect(record.properties).toEqual({
+      'class': 'room office',
+      'data-floor': '3',
+      'data-wing': 'east',
+      desc: 'Corner office'
+    });
+  });
+
+
+  it('should read `title` from a `<title>` child first', function() {
+    var result = SVGtoWKT.parse(
+      '<svg>' +
+        '<rect id="a" title="Old" width="1" height="1">' +
+          '<title>\n  Lobby  </title>' +
+        '</rect>' +
+        '<rect id="b" title="Hall" width="1" height="1" />' +
+      '</svg>'
+    );
+    expect(result.spaces[0].title).toEqual('Lobby');
+    expect(result.spaces[1].title).toEqual('Hall');
+  });
+
+
+  it('should compute fill and stroke from styles and ancestors', function() {
+    var records = SVGtoWKT.parse(
+      '<svg><g fill="red" style="stroke: blue">' +
+        '<rect width="1" height="1" />' +
+        '<rect fill="green" style="fill: yellow" width="1" height="1" />' +
+        '<rect fill="inherit" stroke="none" width="1" height="1" />' +
+      '</g></svg>'
+    ).geometries;
+    expect(records.map(function(record) {
+      return record.properties;
+    })).toEqual([
+      {fill: 'red', stroke: 'blue'},
+      {fill: 'yellow', stroke: 'blue'},
+      {fill: 'red', stroke: 'none'}
+    ]);
+  });
+
+
+  it('should apply <style> sheets by specificity and order', function() {
+    var records = SVGtoWKT.parse(
+      '<svg>' +
+        '<style>\n' +
+          '/* rooms */ rect { fill: red; stroke: black }\n' +
+          '@media print { rect { fill: white } }\n' +
+          '.room { fill: blue }\n' +
+          'g > rect.room { fill: green }\n' +
+          'rect { fill: gray }\n' +
+          '#lobby { stroke: red !important }\n' +
+          'a rect, [data-open] { fill: orange }\n' +
+          'rect:hover { fill: pink }\n' +
+        '</style>' +
+        '<rect width="1" height="1" />' +
+        '<rect class="room" width="1" height="1" />' +
+        '<g><rect class="room" width="1" height="1" /></g>' +
+        '<rect id="lobby" style="stroke: blue" width="1" height="1" />' +
+        '<rect data-open="" fill="purple" width="1" height="1" />' +
+        '<g><a><rect class="room" width="1" height="1" /></a></g>' +
+      '</svg>'
+    ).geometries;
+    expect(records.map(function(record) {
+      return [record.properties.fill, record.properties.stroke];
+    })).toEqual([
+      ['gray', 'black'],
+      ['blue', 'black'],
+      ['green', 'black'],
+      ['gray', 'red'],
+      ['orange', 'black'],
+      ['blue', 'black']
+    ]);
+  });
+
+
+  it('should use styles for fill rules and text', function() {
+    var result = SVGtoWKT.parse(
+      '<svg>' +
+        '<style>path { fill-rule: evenodd } g { font-size: 20px }</style>' +
+        '<path d="M0 0H4V4H0ZM1 1H3V3H1Z" />' +
+        '<g style="font-family: serif"><text>A</text></g>' +
+      '</svg>'
+    );
+    expect(result.wkt).toEqual(
+      'GEOMETRYCOLLECTION(' +
+        'POLYGON((0 0,0 -4,4 -4,4 0,0 0),(1 -1,3 -1,3 -3,1 -3,1 -1)))'
+    );
+    expect(result.strings[0].fontSize).toEqual('20px');
+    expect(result.strings[0].fontFamily).toEqual('serif');
+    expect(result.strings[0].wkt).toEqual('LINESTRING(0 0,12 0)');
+  });
+
+
+  it('should record the properties named in the options', function() {
+    var svg =
+      '<svg><circle r="1" class="a" opacity="0.5" data-x="1" /></svg>';
+    expect(SVGtoWKT.parse(svg, {
+      properties: ['opacity', 'class', 'missing']
+    }).geometries[0].properties).toEqual({opacity: '0.5', 'class': 'a'});
+    expect(SVGtoWKT.parse(svg, {
+      properties: false
+    }).geometries[0].properties).toEqual({});
+  });
+
+
+  it('should add properties to JSON and GeoJSON when set', function() {
+    var svg =
+      '<svg>' +
+        '<line id="l" class="wall" x2="1" />' +
+        '<line id="m" x2="1" />' +
+      '</svg>';
+    var spaces = JSON.parse(SVGtoWKT.convert(svg)).spaces;
+    expect(spaces[0].properties).toEqual({'class': 'wall'});
+    expect(spaces[1].properties).toBeUndefined();
+    expect(SVGtoWKT.geojson(svg).features[0].properties).toEqual({
+      'class': 'wall', id: 'l', title: undefined
+    });
+  });
+
+
+});
@@ -27,4 +27,47 @@ describe('rect', function() {
   });
 
 
+  it('should keep circular corners as arcs', function() {
+    SVGtoWKT.CURVES = true;
+    var wkt = SVGtoWKT.rect(0, 0, 10, 6, 2);
+    expect(wkt).toMatch(/^CURVEPOLYGON\(COMPOUNDCURVE\(\(2 0,8 0\)/);
+    expect(wkt.match(/CIRCULARSTRING/g).length).toEqual(4);
+  });
+
+
+  it('should interpolate circular corners when curves are off', function() {
+    expect(SVGtoWKT.rect(0, 0, 10, 6, 2)).toMatch(/^POLYGON\(\(2 0,8 0,/);
+  });
+
+
+  it('should default a missing radius to the other one', function() {
+    expect(SVGtoWKT.rect(0, 0, 10, 10, undefined, 2)).toEqual(
+      SVGtoWKT.rect(0, 0, 10, 10, 2, 2)
+    );
+  });
+
+
+  it('should cap radii at half of each side', function() {
+    expect(SVGtoWKT.rect(0, 0, 4, 4, 5)).toEqual(
+      SVGtoWKT.rect(0, 0, 4, 4, 2)
+    );
+  });
+
+
+  it('should interpolate elliptical corners into a POLYGON', function() {
+    var wkt = SVGtoWKT.rect(0, 0, 10, 6, 2, 1);
+    expect(wkt).toMatch(/^POLYGON\(\(2 0,8 0,/);
+    expect(wkt).toMatch(/,2 0\)\)$/);
+  });
+
+
+  it('should read rx and ry from <rect> elements', function() {
+    expect(T.detail(
+      '<svg><rect x="0" y="0" width="10" height="6" rx="2" ry="1" /></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(' + SVGtoWKT.rect(0, 0, 10, 6, 2, 1) + ')'
+    );
+  });
+
+
 });
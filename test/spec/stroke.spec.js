@@ -0,0 +1,107 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('stroke', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  var stroke = function(shape) {
+    return SVGtoWKT.parse('<svg>' + shape + '</svg>', {stroke: true})
+      .geometries[0].wkt;
+  };
+
+
+  it('should only convert strokes with the `stroke` option', function() {
+    expect(SVGtoWKT.parse(
+      '<svg><line x2="10" stroke="black" stroke-width="2" /></svg>'
+    ).wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(0 0,10 0))');
+  });
+
+
+  it('should leave lines without a stroke', function() {
+    expect(stroke('<line x2="10" stroke-width="2" />')).toEqual(
+      'LINESTRING(0 0,10 0)'
+    );
+    expect(stroke('<line x2="10" stroke="none" stroke-width="2" />')).toEqual(
+      'LINESTRING(0 0,10 0)'
+    );
+  });
+
+
+  it('should convert lines with butt and square caps', function() {
+    expect(stroke('<line x2="10" stroke="black" stroke-width="2" />'))
+      .toEqual('POLYGON((0 -1,10 -1,10 1,0 1,0 -1))');
+    expect(stroke(
+      '<line x2="10" stroke="black" stroke-width="2" ' +
+        'stroke-linecap="square" />'
+    )).toEqual('POLYGON((-1 -1,11 -1,11 1,-1 1,-1 -1))');
+  });
+
+
+  it('should add round caps', function() {
+    var geometry = SVGtoWKT.parse(
+      '<svg><line x2="10" stroke="black" stroke-width="4" ' +
+        'stroke-linecap="round" /></svg>',
+      {stroke: true}
+    ).geometries[0];
+    expect(geometry.wkt).toMatch(/^POLYGON\(\([^()]*\)\)$/);
+    expect(geometry.bbox.minX).toBeLessThan(-1.9);
+    expect(geometry.bbox.maxX).toBeGreaterThan(11.9);
+    expect(geometry.bbox.maxY).toEqual(2);
+  });
+
+
+  it('should join segments with miters up to `stroke-miterlimit`', function() {
+    var polyline = '<polyline points="0 0 10 0 10 10" stroke="black" ' +
+      'stroke-width="2" ';
+    expect(stroke(polyline + '/>')).toEqual(
+      'POLYGON((0 -1,9 -1,9 -10,11 -10,11 1,0 1,0 -1))'
+    );
+    expect(stroke(polyline + 'stroke-linejoin="bevel" />')).toEqual(
+      'POLYGON((0 -1,9 -1,9 -10,11 -10,11 0,10 1,0 1,0 -1))'
+    );
+    expect(stroke(polyline + 'stroke-miterlimit="1.2" />')).toEqual(
+      'POLYGON((0 -1,9 -1,9 -10,11 -10,11 0,10 1,0 1,0 -1))'
+    );
+  });
+
+
+  it('should read inherited and styled strokes', function() {
+    expect(stroke(
+      '<g stroke="black"><line x2="10" style="stroke-width: 4px" /></g>'
+    )).toEqual('POLYGON((0 -2,10 -2,10 2,0 2,0 -2))');
+  });
+
+
+  it('should scale the width with the transform', function() {
+    expect(stroke(
+      '<line x2="10" stroke="black" stroke-width="2" transform="scale(2)" />'
+    )).toEqual('POLYGON((0 -2,20 -2,20 2,0 2,0 -2))');
+  });
+
+
+  it('should merge the strokes of open subpaths', function() {
+    expect(stroke(
+      '<path d="M0 0h10M0 5h10M5 -5v20" stroke="black" stroke-width="2" />'
+    )).toEqual(
+      'POLYGON((0 -1,4 -1,4 -4,0 -4,0 -6,4 -6,4 -15,6 -15,6 -6,10 -6,' +
+        '10 -4,6 -4,6 -1,10 -1,10 1,6 1,6 5,4 5,4 1,0 1,0 -1))'
+    );
+  });
+
+
+  it('should keep closed shapes', function() {
+    expect(stroke(
+      '<rect width="1" height="1" stroke="black" stroke-width="2" />'
+    )).toEqual('POLYGON((0 0,1 0,1 -1,0 -1,0 0))');
+  });
+
+
+});
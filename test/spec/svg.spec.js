@@ -0,0 +1,117 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('svg', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should write polygons and lines as paths in a fitted viewBox', function() {
+    expect(SVGtoWKT.toSVG(
+      'GEOMETRYCOLLECTION(' +
+        'POLYGON((0 0,4 0,4 -4,0 -4,0 0),(1 -1,1 -3,3 -3,3 -1,1 -1)),' +
+        'LINESTRING(0 -5,2 -6))'
+    )).toEqual(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 4 6">\n' +
+      '  <g>\n' +
+      '    <path d="M0 0L4 0L4 4L0 4ZM1 1L1 3L3 3L3 1Z" ' +
+        'fill-rule="evenodd" />\n' +
+      '    <path d="M0 5L2 6" fill="none" stroke="black" ' +
+        'vector-effect="non-scaling-stroke" />\n' +
+      '  </g>\n' +
+      '</svg>'
+    );
+  });
+
+
+  it('should round-trip through `parse`', function() {
+    var wkt = SVGtoWKT.parse(
+      '<svg><path d="M0 0H10V10H0ZM2 2V8H8V2Z" /><line x2="5" /></svg>'
+    ).wkt;
+    expect(SVGtoWKT.parse(SVGtoWKT.toSVG(wkt)).wkt).toEqual(wkt);
+  });
+
+
+  it('should write circular arcs as `A` commands', function() {
+    SVGtoWKT.CURVES = true;
+    var svg = SVGtoWKT.toSVG(SVGtoWKT.path('M10 0A5 5 0 0 0 0 0L0 10L10 10Z'));
+    expect(svg).toContain('d="M10 0A5 5 0 0 0 0 0L0 10L10 10Z"');
+    expect(SVGtoWKT.parse(svg).wkt).toEqual(
+      'GEOMETRYCOLLECTION(' +
+        'CURVEPOLYGON(COMPOUNDCURVE(CIRCULARSTRING(10 0,5 5,0 0),' +
+        '(0 0,0 -10,10 -10,10 0))))'
+    );
+    expect(SVGtoWKT.toSVG('CIRCULARSTRING(10 0,12 0,10 0)')).toContain(
+      'd="M10 0A1 1 0 0 1 12 0A1 1 0 0 1 10 0"'
+    );
+  });
+
+
+  it('should read WKB and keep ids and titles from `convert`', function() {
+    var json = SVGtoWKT.convert(
+      '<svg>' +
+        '<line id="a" x2="2" />' +
+        '<rect id="b" title="A &amp; B" y="1" width="2" height="1" />' +
+      '</svg>',
+      {format: 'wkb'}
+    );
+    expect(SVGtoWKT.toSVG(json)).toEqual(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 2 2">\n' +
+      '  <path id="a" d="M0 0L2 0" fill="none" stroke="black" ' +
+        'vector-effect="non-scaling-stroke" />\n' +
+      '  <path id="b" d="M0 1L2 1L2 2L0 2Z" fill-rule="evenodd">' +
+        '<title>A &amp; B</title></path>\n' +
+      '</svg>'
+    );
+  });
+
+
+  it('should invert the georeference', function() {
+    SVGtoWKT.GEOREFERENCE = [2, 0, 0, -2, 100, 50];
+    var svg = '<svg><path id="r" d="M1 1H3V4H1Z" /></svg>';
+    var result = SVGtoWKT.parse(svg);
+    expect(SVGtoWKT.toSVG(result)).toContain(
+      '<path id="r" d="M1 1L1 4L3 4L3 1Z" fill-rule="evenodd" />'
+    );
+    expect(SVGtoWKT.parse(SVGtoWKT.toSVG(result)).wkt).toEqual(result.wkt);
+  });
+
+
+  it('should draw an empty drawing as an empty <svg>', function() {
+    var empty =
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1">\n</svg>';
+    expect(SVGtoWKT.toSVG(SVGtoWKT.convert('<svg/>'))).toEqual(empty);
+    expect(SVGtoWKT.toSVG(SVGtoWKT.parse('<svg/>').wkt)).toEqual(empty);
+    expect(SVGtoWKT.toSVG(SVGtoWKT.parse('<svg/>'))).toEqual(empty);
+  });
+
+
+  it('should draw points as dots', function() {
+    var dots = ' fill="none" stroke="black" ' +
+      'vector-effect="non-scaling-stroke" stroke-width="4" ' +
+      'stroke-linecap="round" />\n';
+    expect(SVGtoWKT.toSVG(['MULTIPOINT(1 -2,3 -4)', 'POINT EMPTY'])).toEqual(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="1 2 2 2">\n' +
+      '  <path d="M1 2ZM3 4Z"' + dots +
+      '</svg>'
+    );
+
+    var strings = JSON.parse(SVGtoWKT.convert(
+      '<svg><text x="1" y="2">ab</text></svg>', {labels: 'point'}
+    )).strings;
+    expect(SVGtoWKT.toSVG([strings[0].path, strings[0].anchor])).toEqual(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="1 2 1 1">\n' +
+      '  <path d="M1 2Z"' + dots +
+      '  <path d="M1 2Z"' + dots +
+      '</svg>'
+    );
+  });
+
+
+});
@@ -0,0 +1,139 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('text', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  var label = function(svg, options) {
+    return SVGtoWKT.parse(svg, options).strings[0];
+  };
+
+
+  it('should split <tspan> runs and lines', function() {
+    var text = label(
+      '<svg><text x="10" y="20" font-size="10">' +
+        'Big <tspan font-size="20">red</tspan> door' +
+        '<tspan x="10" dy="12">  second   line </tspan>' +
+      '</text></svg>'
+    );
+    expect(text.wkt).toEqual(
+      'MULTILINESTRING((10 -20,100 -20),(10 -32,76 -32))'
+    );
+    expect(text.lines.map(function(line) {
+      return line.text;
+    })).toEqual(['Big red door', 'second line']);
+    expect(text.lines[0].runs.map(function(run) {
+      return [run.tag, run.text, run.baseline, run.fontSize];
+    })).toEqual([
+      ['text', 'Big ', 'LINESTRING(10 -20,34 -20)', '10'],
+      ['tspan', 'red', 'LINESTRING(34 -20,70 -20)', '20'],
+      ['text', ' door', 'LINESTRING(70 -20,100 -20)', '10']
+    ]);
+  });
+
+
+  it('should place each line by its `text-anchor`', function() {
+    var text = label(
+      '<svg><text x="50" y="0" font-size="10" text-anchor="middle">ab' +
+        '<tspan x="50" y="20" text-anchor="end">abcd</tspan>' +
+      '</text></svg>'
+    );
+    expect(text.lines.map(function(line) {
+      return [line.baseline, line.anchor];
+    })).toEqual([
+      ['LINESTRING(44 0,56 0)', 'POINT(50 0)'],
+      ['LINESTRING(26 -20,50 -20)', 'POINT(50 -20)']
+    ]);
+    expect(text.anchor).toEqual('POINT(50 0)');
+  });
+
+
+  it('should estimate a box from the glyph extents', function() {
+    var text = label(
+      '<svg><text x="0" y="10" font-size="10">ab' +
+        '<tspan x="0" dy="10" font-size="20">c</tspan>' +
+      '</text></svg>'
+    );
+    expect(text.lines[0].box).toEqual(
+      'POLYGON((12 -2,0 -2,0 -12,12 -12,12 -2))'
+    );
+    expect(text.box).toEqual('POLYGON((12 -2,0 -2,0 -24,12 -24,12 -2))');
+  });
+
+
+  it('should measure rotation counterclockwise in output space', function() {
+    expect(label(
+      '<svg><text transform="rotate(-30)" font-size="10">a</text></svg>'
+    ).rotation).toEqual(30);
+    expect(label(
+      '<svg><text transform="scale(-1 1)" font-size="10">a</text></svg>'
+    ).rotation).toEqual(180);
+  });
+
+
+  it('should lay out <textPath> along the referenced path', function() {
+    var text = label(
+      '<svg>' +
+        '<defs><path id="p" d="M0 0H10V20" /></defs>' +
+        '<text font-size="10">' +
+          '<textPath href="#p" startOffset="5">abc</textPath>' +
+        '</text>' +
+      '</svg>'
+    );
+    expect(text.wkt).toEqual('LINESTRING(5 0,10 0,10 -13)');
+    expect(text.anchor).toEqual('POINT(5 0)');
+    expect(text.rotation).toEqual(0);
+    expect(text.lines[0].runs[0].tag).toEqual('textPath');
+  });
+
+
+  it('should leave out text past the ends of the path', function() {
+    var text = label(
+      '<svg>' +
+        '<path id="p" d="M0 0H20" />' +
+        '<text font-size="10" text-anchor="middle">' +
+          '<textPath href="#p" startOffset="100%">abcd</textPath>' +
+        '</text>' +
+      '</svg>'
+    );
+    expect(text.wkt).toEqual('LINESTRING(8 0,20 0)');
+    expect(text.anchor).toEqual('POINT(20 0)');
+  });
+
+
+  it('should warn about <textPath> without a path', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><text><textPath href="#none">a</textPath></text></svg>'
+    );
+    expect(result.strings).toEqual([]);
+    expect(result.warnings[0].tag).toEqual('textPath');
+    expect(result.warnings[0].reason).toEqual(
+      'No path for `href="#none"`.'
+    );
+  });
+
+
+  it('should write labels as points when asked', function() {
+    var svg = '<svg><text x="1" y="2" text-anchor="end">ab</text></svg>';
+    expect(label(svg, {labels: 'point'}).wkt).toEqual('POINT(1 -2)');
+    expect(JSON.parse(SVGtoWKT.convert(svg, {
+      labels: 'point'
+    })).strings[0].path).toEqual('POINT(1 -2)');
+    expect(SVGtoWKT.geojson(svg, {
+      labels: 'point'
+    }).features[0].geometry).toEqual({type: 'Point', coordinates: [1, -2]});
+    expect(function() {
+      SVGtoWKT.parse(svg, {labels: 'box'});
+    }).toThrowError('Unknown labels: box.');
+  });
+
+
+});
@@ -0,0 +1,145 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('use', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  var wkt = function(svg) {
+    return SVGtoWKT.parse(svg).wkt;
+  };
+
+
+  it('should not convert shapes that are only defined', function() {
+    expect(wkt(
+      '<svg><defs><line x2="1" /></defs>' +
+        '<symbol><line x2="2" /></symbol>' +
+        '<clipPath><line x2="3" /></clipPath>' +
+      '</svg>'
+    )).toEqual('GEOMETRYCOLLECTION EMPTY');
+  });
+
+
+  it('should draw referenced elements at the `x`/`y` offset', function() {
+    expect(wkt(
+      '<svg><defs><line id="l" x2="1" /></defs>' +
+        '<use href="#l" x="10" y="5" />' +
+        '<use xlink:href="#l" transform="scale(2)" />' +
+      '</svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(10 -5,11 -5),LINESTRING(0 0,2 0))'
+    );
+  });
+
+
+  it('should apply the `transform` before the offset', function() {
+    expect(wkt(
+      '<svg><defs><line id="l" x2="1" /></defs>' +
+        '<use href="#l" x="1" transform="scale(2)" />' +
+      '</svg>'
+    )).toEqual('GEOMETRYCOLLECTION(LINESTRING(2 0,4 0))');
+  });
+
+
+  it('should size symbols by the `<use>`', function() {
+    expect(wkt(
+      '<svg><symbol id="s" viewBox="0 0 10 10"><line x2="10" /></symbol>' +
+        '<use href="#s" x="1" width="20" height="20" />' +
+      '</svg>'
+    )).toEqual('GEOMETRYCOLLECTION(LINESTRING(1 0,21 0))');
+  });
+
+
+  it('should resolve nested references', function() {
+    expect(wkt(
+      '<svg><defs>' +
+        '<line id="l" x2="1" />' +
+        '<g id="pair"><use href="#l" /><use href="#l" y="1" /></g>' +
+      '</defs><use href="#pair" x="5" /></svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(5 0,6 0),LINESTRING(5 -1,6 -1))'
+    );
+  });
+
+
+  it('should inherit attributes through the `<use>`', function() {
+    expect(wkt(
+      '<svg><defs><path id="p" d="M0 0h4v4h-4zM1 1h2v2h-2z" /></defs>' +
+        '<use href="#p" fill-rule="evenodd" />' +
+      '</svg>'
+    )).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON((0 0,0 -4,4 -4,4 0,0 0),' +
+        '(1 -1,3 -1,3 -3,1 -3,1 -1)))'
+    );
+  });
+
+
+  it('should report circular and missing references', function() {
+    var result = SVGtoWKT.parse(
+      '<svg>' +
+        '<g id="a"><line x2="1" /><use href="#a" /></g>' +
+        '<use href="#none" />' +
+      '</svg>'
+    );
+    expect(result.wkt).toEqual('GEOMETRYCOLLECTION(LINESTRING(0 0,1 0))');
+    expect(result.warnings.map(function(warning) {
+      return warning.reason;
+    })).toEqual([
+      'Circular reference to `#a`.',
+      'No element for `href="#none"`.'
+    ]);
+  });
+
+
+  it('should collect the shapes of a `<use>` with an `id`', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><defs><line id="l" x2="1" /></defs>' +
+        '<use id="u" href="#l" x="1" />' +
+      '</svg>'
+    );
+    expect(result.spaces.length).toEqual(1);
+    expect(result.spaces[0].id).toEqual('u');
+    expect(result.spaces[0].wkt).toEqual(
+      'GEOMETRYCOLLECTION(LINESTRING(1 0,2 0))'
+    );
+  });
+
+
+  it('should report errors in a definition once', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><defs><polyline id="p" points="0 0 1" /></defs>' +
+        '<use href="#p" /><use href="#p" x="1" />' +
+      '</svg>'
+    );
+    expect(result.geometries.length).toEqual(2);
+    expect(result.warnings.length).toEqual(1);
+    expect(result.warnings[0].tag).toEqual('polyline');
+  });
+
+
+  it('should look up any `id`, even the names of object methods', function() {
+    var result = SVGtoWKT.parse(
+      '<svg>' +
+        '<rect id="hasOwnProperty" width="1" height="1" />' +
+        '<rect id="b" width="1" height="1" />' +
+        '<use href="#hasOwnProperty" x="2" /><use href="#toString" />' +
+      '</svg>'
+    );
+    expect(result.spaces.map(function(space) {
+      return space.id;
+    })).toEqual(['hasOwnProperty', 'b']);
+    expect(result.geometries.length).toEqual(3);
+    expect(result.warnings[0].reason).toEqual(
+      'No element for `href="#toString"`.'
+    );
+  });
+
+
+});
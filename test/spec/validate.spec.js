@@ -0,0 +1,104 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('validate', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  var codes = function(report) {
+    return report.issues.map(function(issue) { return issue.code; });
+  };
+
+
+  it('should accept valid geometries', function() {
+    var report = SVGtoWKT.validate(SVGtoWKT.rect(1, 2, 3, 4));
+    expect(report.valid).toBe(true);
+    expect(report.issues).toEqual([]);
+  });
+
+
+  it('should close unclosed rings', function() {
+    var report = SVGtoWKT.validate(
+      'POLYGON((0 0,1 0,1 1,0 1))', {repair: true}
+    );
+    expect(codes(report)).toEqual(['unclosed-ring']);
+    expect(report.valid).toBe(true);
+    expect(report.wkt).toEqual('POLYGON((0 0,1 0,1 1,0 1,0 0))');
+  });
+
+
+  it('should drop non-finite coordinates and duplicate points', function() {
+    var report = SVGtoWKT.validate(
+      'LINESTRING(0 0,NaN 1,1 1,1 1,2 Infinity,2 2)', {repair: true}
+    );
+    expect(codes(report)).toEqual(['non-finite', 'duplicate-point']);
+    expect(report.issues[1].severity).toEqual('warning');
+    expect(report.wkt).toEqual('LINESTRING(0 0,1 1,2 2)');
+  });
+
+
+  it('should only report issues without `repair`', function() {
+    var wkt = 'POLYGON((0 0,1 0,1 1,0 1))';
+    var report = SVGtoWKT.validate(wkt);
+    expect(report.valid).toBe(false);
+    expect(report.issues[0].repaired).toBe(false);
+    expect(report.wkt).toEqual(wkt);
+  });
+
+
+  it('should remove rings with too few points or no area', function() {
+    var report = SVGtoWKT.validate(
+      'MULTIPOLYGON(((0 0,1 0,0 0)),((0 0,1 0,2 0,0 0)),((0 0,1 0,1 1,0 0)))',
+      {repair: true}
+    );
+    expect(codes(report)).toEqual(['too-few-points', 'zero-area']);
+    expect(report.issues[0].at).toEqual([0, 0]);
+    expect(report.issues[1].at).toEqual([1, 0]);
+    expect(report.wkt).toEqual('MULTIPOLYGON(((0 0,1 0,1 1,0 0)))');
+  });
+
+
+  it('should report self-intersecting rings', function() {
+    var report = SVGtoWKT.validate(
+      'POLYGON((0 0,2 2,2 0,0 2,0 0))', {repair: true}
+    );
+    expect(codes(report)).toEqual(['self-intersection']);
+    expect(report.valid).toBe(false);
+  });
+
+
+  it('should report empty geometries and unreadable WKT', function() {
+    expect(codes(SVGtoWKT.validate('POLYGON EMPTY'))).toEqual(['empty']);
+    expect(SVGtoWKT.validate('POLYGON EMPTY').valid).toBe(true);
+    expect(codes(SVGtoWKT.validate(SVGtoWKT.parse('<svg/>').wkt))).toEqual(
+      ['empty']
+    );
+    expect(codes(SVGtoWKT.validate('POLYGON((0 0'))).toEqual(
+      ['invalid-wkt']
+    );
+  });
+
+
+  it('should add diagnostics to `parse` records', function() {
+    var result = SVGtoWKT.parse(
+      '<svg><polygon points="0,0 1,1 2,2" /><rect width="1" height="1" />' +
+      '</svg>',
+      {repair: true}
+    );
+    expect(codes(result.geometries[0])).toEqual(['zero-area']);
+    expect(result.geometries[0].wkt).toEqual('POLYGON EMPTY');
+    expect(result.geometries[1].valid).toBe(true);
+    expect(result.wkt).toEqual(
+      'GEOMETRYCOLLECTION(POLYGON EMPTY,POLYGON((0 0,1 0,1 -1,0 -1,0 0)))'
+    );
+  });
+
+
+});
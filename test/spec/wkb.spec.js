@@ -0,0 +1,159 @@
+
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('wkb', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should encode a LINESTRING as little-endian WKB', function() {
+    expect(SVGtoWKT.toWKB(SVGtoWKT.line(1, 2, 3, 4), {hex: true})).toEqual(
+      '01'+'02000000'+'02000000'+
+        '000000000000F03F'+'00000000000000C0'+
+        '0000000000000840'+'00000000000010C0'
+    );
+  });
+
+
+  it('should return a Uint8Array by default', function() {
+    var wkb = SVGtoWKT.toWKB('POINT(1 2)');
+    expect(wkb instanceof Uint8Array).toBe(true);
+    expect(wkb.length).toEqual(21);
+  });
+
+
+  it('should encode big-endian WKB', function() {
+    expect(SVGtoWKT.toWKB('POINT(1 2)', {hex: true, littleEndian: false})).toEqual(
+      '00'+'00000001'+'3FF0000000000000'+'4000000000000000'
+    );
+  });
+
+
+  it('should encode POLYGON rings', function() {
+    expect(SVGtoWKT.toWKB(SVGtoWKT.polygon('0,0 1,0 1,1'), {hex: true})).toEqual(
+      '01'+'03000000'+'01000000'+'04000000'+
+        '0000000000000000'+'0000000000000000'+
+        '000000000000F03F'+'0000000000000000'+
+        '000000000000F03F'+'000000000000F0BF'+
+        '0000000000000000'+'0000000000000000'
+    );
+  });
+
+
+  it('should encode curve types', function() {
+    SVGtoWKT.CURVES = true;
+    var wkb = SVGtoWKT.toWKB(SVGtoWKT.path('M10 0A5 5 0 0 0 0 0L0 10L10 10Z'));
+    // CURVEPOLYGON > COMPOUNDCURVE > CIRCULARSTRING, LINESTRING
+    expect(wkb[1]).toEqual(10);
+    expect(wkb[10]).toEqual(9);
+    expect(wkb[19]).toEqual(8);
+  });
+
+
+  it('should embed an SRID in EWKB', function() {
+    expect(SVGtoWKT.toWKB('POINT(1 2)', {hex: true, srid: 4326})).toEqual(
+      '01'+'01000020'+'E6100000'+'000000000000F03F'+'0000000000000040'
+    );
+  });
+
+
+  it('should be selectable from `convert`', function() {
+    var json = JSON.parse(SVGtoWKT.convert(
+      '<svg><line id="l" x1="1" y1="2" x2="3" y2="4" /></svg>',
+      {format: 'ewkb', srid: 4326}
+    ));
+    expect(json.spaces[0].space).toEqual(
+      SVGtoWKT.toWKB('LINESTRING(1 -2,3 -4)', {hex: true, srid: 4326})
+    );
+    expect(json.detail.slice(0, 18)).toEqual('0107000020E6100000');
+  });
+
+
+  it('should encode documents without shapes', function() {
+    ['<svg></svg>', '<svg><text>Hi</text></svg>'].forEach(function(svg) {
+      var wkb = JSON.parse(SVGtoWKT.convert(svg, {format: 'wkb'}));
+      expect(wkb.detail).toEqual('010700000000000000');
+      expect(SVGtoWKT.fromWKB(wkb.detail)).toEqual('GEOMETRYCOLLECTION EMPTY');
+    });
+    var ewkb = JSON.parse(SVGtoWKT.convert('<svg></svg>', {
+      format: 'ewkb', srid: 4326
+    }));
+    expect(SVGtoWKT.fromWKB(ewkb.detail)).toEqual(
+      'SRID=4326;GEOMETRYCOLLECTION EMPTY'
+    );
+  });
+
+
+  it('should decode WKB and EWKB in either byte order', function() {
+    var wkt =
+      'GEOMETRYCOLLECTION(' +
+        'CURVEPOLYGON(COMPOUNDCURVE(CIRCULARSTRING(10 0,5 5,0 0),' +
+          '(0 0,0 -10,10 -10,10 0))),' +
+        'MULTILINESTRING((20 0,30 0)))';
+    expect(SVGtoWKT.fromWKB(SVGtoWKT.toWKB(wkt))).toEqual(wkt);
+    expect(SVGtoWKT.fromWKB(
+      SVGtoWKT.toWKB('POINT(1 2)', {hex: true, littleEndian: false, srid: 4326})
+    )).toEqual('SRID=4326;POINT(1 2)');
+    expect(SVGtoWKT.fromWKB(SVGtoWKT.toWKB('POINT EMPTY'))).toEqual(
+      'POINT EMPTY'
+    );
+  });
+
+
+  it('should keep Z and M ordinates', function() {
+    expect(SVGtoWKT.toWKB('POINT Z (1 2 3)', {hex: true})).toEqual(
+      '01E9030000000000000000F03F00000000000000400000000000000840'
+    );
+    expect(SVGtoWKT.toWKB('POINT M (1 2 3)', {hex: true}).slice(0, 10))
+      .toEqual('01D1070000');
+    expect(SVGtoWKT.toWKB('POINT Z (1 2 3)', {hex: true, srid: 4326})
+      .slice(0, 10)).toEqual('01010000A0');
+
+    // Members take the same flags as their root, without the SRID.
+    var collection = 'GEOMETRYCOLLECTION Z(POINT Z(1 2 3))';
+    var ewkb = SVGtoWKT.toWKB(collection, {hex: true, srid: 4326});
+    expect(ewkb.slice(0, 10)).toEqual('01070000A0');
+    expect(ewkb.slice(26, 36)).toEqual('0101000080');
+    var wkb = SVGtoWKT.toWKB(collection, {hex: true});
+    expect(wkb.slice(0, 10)).toEqual('01EF030000');
+    expect(wkb.slice(18, 28)).toEqual('01E9030000');
+    [
+      'POINT Z(1 2 3)',
+      'POINT M(1 2 3)',
+      'SRID=4326;LINESTRING ZM(1 2 3 4,5 6 7 8)',
+      'MULTIPOLYGON M(((0 0 1,1 0 2,1 1 3,0 0 1)))',
+      'POINT Z EMPTY'
+    ].forEach(function(wkt) {
+      expect(SVGtoWKT.fromWKB(SVGtoWKT.toWKB(wkt))).toEqual(wkt);
+    });
+  });
+
+
+  it('should reject truncated and unknown WKB', function() {
+    expect(function() {
+      SVGtoWKT.fromWKB('0101000000000000000000F03F');
+    }).toThrowError('Invalid WKB.');
+    expect(function() {
+      SVGtoWKT.fromWKB('0163000000');
+    }).toThrowError('Unsupported WKB type: 99.');
+    expect(function() {
+      SVGtoWKT.fromWKB('01A10F0000');
+    }).toThrowError('Unsupported WKB type: 4001.');
+  });
+
+
+  it('should throw an error for unknown formats', function() {
+    expect(function() {
+      SVGtoWKT.convert('<svg />', {format: 'kml'});
+    }).toThrow();
+  });
+
+
+});
@@ -0,0 +1,95 @@
+/**
+ * @package     svg-to-wkt
+ * @copyright   2012 David McClure
+ * @license     http://www.apache.org/licenses/LICENSE-2.0.html
+ */
+
+describe('wkt', function() {
+
+
+  beforeEach(function() {
+    T.reset();
+  });
+
+
+  it('should read WKT into a geometry tree', function() {
+    expect(SVGtoWKT.readWKT('SRID=4326;POLYGON((0 0,1 0,1 1,0 0))')).toEqual({
+      type: 'POLYGON',
+      parts: [{type: 'LINESTRING', points: [[0, 0], [1, 0], [1, 1], [0, 0]]}],
+      srid: 4326
+    });
+    expect(SVGtoWKT.readWKT('MULTIPOINT(1 2,(3 4),EMPTY)')).toEqual({
+      type: 'MULTIPOINT',
+      parts: [
+        {type: 'POINT', points: [[1, 2]]},
+        {type: 'POINT', points: [[3, 4]]},
+        {type: 'POINT', points: []}
+      ]
+    });
+    expect(SVGtoWKT.readWKT('EMPTY')).toBeNull();
+  });
+
+
+  it('should compare shapes by structure', function() {
+    expect(SVGtoWKT.readWKT(SVGtoWKT.rect(0, 0, 2, 1))).toEqual(
+      SVGtoWKT.readWKT('POLYGON ((0 0, 2 0, 2 -1, 0 -1, 0 0))')
+    );
+  });
+
+
+  it('should write canonical WKT, compact or spaced', function() {
+    var geometry = SVGtoWKT.readWKT(
+      'GEOMETRYCOLLECTION( POINT (1 2) , CURVEPOLYGON(' +
+        'COMPOUNDCURVE(CIRCULARSTRING(0 0, 1 1, 2 0), (2 0, 0 0))))'
+    );
+    expect(SVGtoWKT.writeWKT(geometry)).toEqual(
+      'GEOMETRYCOLLECTION(POINT(1 2),CURVEPOLYGON(' +
+        'COMPOUNDCURVE(CIRCULARSTRING(0 0,1 1,2 0),(2 0,0 0))))'
+    );
+    expect(SVGtoWKT.writeWKT(geometry, {spaced: true})).toEqual(
+      'GEOMETRYCOLLECTION (POINT (1 2), CURVEPOLYGON (' +
+        'COMPOUNDCURVE (CIRCULARSTRING (0 0, 1 1, 2 0), (2 0, 0 0))))'
+    );
+  });
+
+
+  it('should read and write Z and M ordinates', function() {
+    var geometry = SVGtoWKT.readWKT('LINESTRINGM(1 2 5,3 4 6)');
+    expect(geometry.dimensions).toEqual('XYM');
+    expect(SVGtoWKT.writeWKT(geometry)).toEqual('LINESTRING M(1 2 5,3 4 6)');
+    expect(SVGtoWKT.writeWKT(geometry, {dimensions: 'XY'})).toEqual(
+      'LINESTRING(1 2,3 4)'
+    );
+    expect(SVGtoWKT.writeWKT(SVGtoWKT.readWKT('POINT(1 2 3 4)'))).toEqual(
+      'POINT ZM(1 2 3 4)'
+    );
+    expect(SVGtoWKT.writeWKT(SVGtoWKT.readWKT('POINT Z EMPTY'))).toEqual(
+      'POINT Z EMPTY'
+    );
+    expect(function() {
+      SVGtoWKT.writeWKT(geometry, {dimensions: 'XYZ'});
+    }).toThrowError('No Z values.');
+    expect(function() {
+      SVGtoWKT.readWKT('POINT Z (1 2)');
+    }).toThrowError('Invalid WKT.');
+  });
+
+
+  it('should write or drop empty members', function() {
+    var geometry = SVGtoWKT.readWKT(
+      'MULTIPOLYGON(EMPTY,((0 0,1 0,1 1,0 0)))'
+    );
+    expect(SVGtoWKT.writeWKT(geometry)).toEqual(
+      'MULTIPOLYGON(EMPTY,((0 0,1 0,1 1,0 0)))'
+    );
+    expect(SVGtoWKT.writeWKT(geometry, {dropEmpty: true})).toEqual(
+      'MULTIPOLYGON(((0 0,1 0,1 1,0 0)))'
+    );
+    expect(SVGtoWKT.writeWKT(SVGtoWKT.readWKT('LINESTRING EMPTY'))).toEqual(
+      'LINESTRING EMPTY'
+    );
+    expect(SVGtoWKT.path('M0 0')).toEqual('LINESTRING EMPTY');
+  });
+
+
+});